@@ -3,19 +3,98 @@ const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
-const libre = require('libreoffice-convert');
-const { PDFDocument, degrees } = require('pdf-lib');
+const os = require('os');
+const crypto = require('crypto');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { spawn, execFile } = require('child_process');
+const { AsyncLocalStorage } = require('async_hooks');
+const {
+  PDFDocument, StandardFonts, degrees, rgb,
+  pushGraphicsState, popGraphicsState, rectangle, clip, endPath, PDFName, PDFRef,
+  PDFDict, PDFSignature,
+} = require('pdf-lib');
+const forge = require('node-forge');
+const signpdf = require('@signpdf/signpdf').default;
+const { P12Signer } = require('@signpdf/signer-p12');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib');
 const archiver = require('archiver');
-const glob = require('glob');
+const heicDecode = require('heic-decode');
 const cors = require('cors');
 
 const app = express();
 const PORT = 3000;
 
+/* ------------ LOGGING ------------ */
+// One JSON object per line: { time, level, msg, requestId, ...fields }. Errors go to
+// stderr, the rest to stdout; LOG_LEVEL=debug adds the chattier lines.
+// requestContext carries { requestId, route, caller } through everything a request
+// starts, background jobs included, so their lines carry the request id too. Clients
+// may send their own X-Request-Id; it is echoed back on every response.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  const line = { time: new Date().toISOString(), level, msg, requestId: requestContext.getStore()?.requestId, ...fields };
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(line)}\n`);
+}
+
+const log = Object.fromEntries(Object.keys(LOG_LEVELS).map(level => [level, (msg, fields) => writeLog(level, msg, fields)]));
+
+// Log fields for an error; tool failures carry the tail of the tool's stderr.
+function errorFields(err) {
+  if (!(err instanceof Error)) return { error: String(err) };
+  return {
+    error: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.stderr ? { stderr: err.stderr.slice(-2000) } : { stack: err.stack }),
+  };
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = req.route ? req.route.path : 'other';
+    const inputBytes = requestUploads(req).reduce((total, file) => total + file.size, 0);
+    recordRequest(route, req.method, res.statusCode, seconds, inputBytes);
+    log.info('request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      inputBytes,
+      ...(req.caller && { caller: req.caller.name || req.caller.id }),
+      ...(!res.writableFinished && { aborted: true }),
+    });
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+});
+
+// Behind Render's proxy the client address is in X-Forwarded-For; TRUST_PROXY_HOPS
+// says how many proxies to skip so per-IP limits see the real client.
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 0);
+
 app.use(cors({
   origin: ['https://file2do.com', 'https://www.file2do.com', 'http://localhost:3000'],
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'DELETE'],
+  exposedHeaders: [
+    'Retry-After', 'X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+    'X-Quota-Bytes-Limit', 'X-Quota-Bytes-Remaining',
+    'X-Quota-CPU-Seconds-Limit', 'X-Quota-CPU-Seconds-Remaining', 'X-Quota-Reset',
+  ],
 }));
 
 ['uploads', 'compressed'].forEach(folder => {
@@ -24,707 +103,4937 @@ app.use(cors({
 
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
-app.use('/compressed', express.static(path.join(__dirname, 'compressed'), {
-  setHeaders: (res, filePath) => {
-    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
-  }
-}));
 
 
 
+// Stamp for upload and output file names. The random part keeps files written in
+// the same millisecond (a multi-file upload, parallel batch lanes) from
+// overwriting each other, and makes output names impossible to guess.
+function uniqueStamp() {
+  return `${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
 const storage = multer.diskStorage({
   destination: 'uploads/',
   filename: (_, file, cb) => {
-    const uniqueName = Date.now() + path.extname(file.originalname);
-    cb(null, uniqueName);
+    cb(null, `${uniqueStamp()}${path.extname(file.originalname)}`);
   },
 });
-const upload = multer({ storage });
-
-
-// ... (keep existing imports and app setup)
-
-app.post('/compress-pdf-to-size', upload.single('file'), async (req, res) => {
-  const inputPath = req.file?.path;
-  const targetSizeKB = parseInt(req.body.targetSize); // e.g., 100, 200, 500, 1000
-  const targetSizeBytes = targetSizeKB * 1024; // Convert KB to bytes
-  const outputFilename = `compressed_to_${targetSizeKB}kb_${Date.now()}.pdf`;
-  let outputPath = path.join('compressed', outputFilename);
-  let tempOutput = null;
 
-  // Validate input
-  if (!req.file || !req.file.mimetype.includes('pdf')) {
-    if (inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    return res.status(400).send('Only PDF files are allowed.');
+/* ------------ ERRORS ------------ */
+// Every error response has one shape:
+//   { "error": { "code": "INVALID_INPUT", "message": "...", "requestId": "..." } }
+// `code` is one of ERROR_CODES and is what clients should branch on. `message` is
+// always safe to show to users: tool output only ever goes to the logs. Failed
+// background jobs carry the same object in their `error` field.
+const ERROR_CODES = {
+  INVALID_INPUT: 400,      // a field or option is missing, malformed or out of range
+  MISSING_FILE: 400,
+  UNSUPPORTED_FORMAT: 400, // the upload is not a type the route accepts
+  TOO_MANY_PAGES: 400,
+  ENCRYPTED_INPUT: 400,    // the PDF has to be unlocked first
+  NOT_ENCRYPTED: 400,      // /unlock-pdf got a PDF without a password
+  PASSWORD_REQUIRED: 400,  // /unlock-pdf got no password for a PDF that needs one
+  UNAUTHORIZED: 401,
+  INCORRECT_PASSWORD: 403,
+  NOT_FOUND: 404,
+  CANCELLED: 409,          // the job was cancelled (only seen on jobs)
+  GONE: 410,               // the output expired or was deleted
+  FILE_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  PROCESSING_FAILED: 500,  // something failed on our side
+  TOOL_FAILED: 500,        // an external tool exited with an error
+  BUSY: 503,               // the tool's queue is full, see Retry-After
+  TOOL_UNAVAILABLE: 503,   // the tool is not installed
+  TIMEOUT: 504,            // the tool ran past its time limit and was stopped
+};
+
+// Errors created here are the client's fault (or a deliberate refusal) and are
+// reported with their code and message as-is.
+function httpError(code, message) {
+  const err = new Error(message);
+  err.errorCode = code;
+  err.status = ERROR_CODES[code];
+  return err;
+}
+
+function invalidInput(message) {
+  return httpError('INVALID_INPUT', message);
+}
+
+function unsupportedFormat(message) {
+  return httpError('UNSUPPORTED_FORMAT', message);
+}
+
+// Maps any error to { code, message }; `fallbackMessage` describes failures that are
+// not the client's fault in user terms.
+function describeError(err, fallbackMessage = 'Processing failed.') {
+  if (err.errorCode) return { code: err.errorCode, message: err.message };
+  if (err.name === 'EncryptedPDFError' || /password|EncryptedPdfError/i.test(err.stderr || '')) {
+    return { code: 'ENCRYPTED_INPUT', message: 'This PDF is password-protected. Unlock it first.' };
   }
-  if (!targetSizeKB || targetSizeKB < 10 || targetSizeKB > 10000) {
-    if (inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    return res.status(400).send('Target size must be between 10KB and 10MB.');
+  if (err.code === 'ETIMEDOUT') return { code: 'TIMEOUT', message: 'The file took too long to process and the operation was stopped.' };
+  if (err.code === 'ENOENT' && err.syscall?.startsWith('spawn')) {
+    return { code: 'TOOL_UNAVAILABLE', message: 'This tool is temporarily unavailable.' };
   }
-
-  const originalSize = fs.statSync(inputPath).size;
-  if (originalSize < targetSizeBytes * 0.9) {
-    fs.renameSync(inputPath, outputPath);
-    return res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      originalSize,
-      finalSize: originalSize,
-      compressionPercent: 0,
-      achievedTarget: true,
-    });
+  return { code: err.stderr !== undefined ? 'TOOL_FAILED' : 'PROCESSING_FAILED', message: fallbackMessage };
+}
+
+function errorPayload(req, code, message) {
+  return { error: { code, message, requestId: req.id } };
+}
+
+function sendError(res, code, message) {
+  res.status(ERROR_CODES[code]).json(errorPayload(res.req, code, message));
+}
+
+// For catch blocks: answers with the error's own code, or `fallbackMessage`.
+function sendFailure(res, err, fallbackMessage) {
+  const { code, message } = describeError(err, fallbackMessage);
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  sendError(res, code, message);
+}
+
+/* ------------ ASYNC JOBS ------------ */
+// Long-running tools can run in the background: send `async=true` (form field or
+// query string) and the route answers 202 with a job id instead of holding the
+// request open. GET /jobs/:id returns the same payload the sync response would;
+// GET /jobs/:id/events streams it as Server-Sent Events:
+//   progress  { stage, percent, ... } whenever the running tool reports some
+//   result    the response payload, when the job is done
+//   error     { error: { code, message, requestId } }, when it failed or was cancelled
+// The stream closes after result/error.
+const jobs = new Map();
+
+function wantsAsync(req) {
+  return String(req.query.async ?? req.body?.async ?? '').toLowerCase() === 'true';
+}
+
+function createJob(tool, requestId) {
+  const job = {
+    id: crypto.randomUUID(),
+    tool,
+    requestId,
+    state: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+    cancelled: false,
+    children: new Set(),
+    progress: null,
+    streams: new Set(),
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function serializeJob(job) {
+  const { id, tool, state, createdAt, startedAt, finishedAt, progress, result, error } = job;
+  return { id, tool, state, createdAt, startedAt, finishedAt, progress, result, error };
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Sends the closing result/error event of a finished job and ends the stream.
+function endJobStream(job, res) {
+  if (job.state === 'done') sendEvent(res, 'result', job.result);
+  else sendEvent(res, 'error', { error: job.error });
+  res.end();
+}
+
+// Tools call this with what they know; a no-op for sync requests (no job).
+function reportProgress(job, progress) {
+  if (!job || job.cancelled) return;
+  job.progress = { ...progress, percent: Math.max(0, Math.min(100, Math.round(progress.percent))) };
+  job.streams.forEach(res => sendEvent(res, 'progress', job.progress));
+}
+
+function finishJob(job, state, fields) {
+  if (job.cancelled) return;
+  Object.assign(job, fields, { state, finishedAt: new Date().toISOString() });
+  if (state === 'done') job.progress = { ...job.progress, percent: 100 };
+  job.streams.forEach(res => endJobStream(job, res));
+  job.streams.clear();
+}
+
+// Runs `work(job)` inline or as a background job depending on the request.
+// `work` resolves with the JSON response payload and cleans up its own files;
+// uploads it left behind are removed once it settles either way.
+function runTool(req, res, { tool, failMessage }, work) {
+  const fallbackMessage = err => typeof failMessage === 'function' ? failMessage(err) : failMessage;
+
+  req.toolRunning = true;
+  if (!wantsAsync(req)) {
+    return work(null)
+      .then(result => res.json(result))
+      .catch(err => {
+        log.error(`${tool} failed`, errorFields(err));
+        sendFailure(res, err, fallbackMessage(err));
+      })
+      .finally(() => activeWork.delete(req));
   }
 
-  try {
-    let dpi = 150; // Starting resolution
-    let currentSize = Infinity;
-    let success = false;
-    const maxIterations = 5;
-
-    for (let iteration = 0; iteration < maxIterations; iteration++) {
-      tempOutput = path.join('compressed', `temp_${Date.now()}_${iteration}.pdf`);
-      const gsCmd = `gs -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 \
--dDownsampleColorImages=true -dColorImageResolution=${Math.round(dpi)} \
--dDownsampleGrayImages=true -dGrayImageResolution=${Math.round(dpi)} \
--dDownsampleMonoImages=true -dMonoImageResolution=${Math.round(dpi)} \
--dCompressFonts=true -dEmbedAllFonts=true -dSubsetFonts=true \
--dAutoRotatePages=/None -dPDFSETTINGS=/ebook -dNOPAUSE -dQUIET -dBATCH \
--sOutputFile="${tempOutput}" "${inputPath}"`;
-
-      console.log(`Running Ghostscript iteration ${iteration + 1} with DPI=${Math.round(dpi)}`);
-
-      await new Promise((resolve, reject) => {
-        exec(gsCmd, (err, stdout, stderr) => {
-          if (err) {
-            console.error('Ghostscript stderr:', stderr);
-            return reject(new Error(`Ghostscript failed: ${stderr}`));
-          }
-          resolve();
-        });
+  const job = createJob(tool, req.id);
+  req.backgroundJob = job;
+  res.status(202).json({ jobId: job.id, state: job.state, statusUrl: `/jobs/${job.id}`, eventsUrl: `/jobs/${job.id}/events` });
+
+  setImmediate(() => {
+    if (job.cancelled) return;
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+
+    work(job)
+      .then(result => finishJob(job, 'done', { result }))
+      .catch(err => {
+        log.error(`${tool} failed`, { jobId: job.id, ...errorFields(err) });
+        recordFailure(requestContext.getStore()?.route || tool);
+        const { code, message } = describeError(err, fallbackMessage(err));
+        finishJob(job, 'failed', { error: errorPayload(req, code, message).error });
+      })
+      .finally(() => {
+        discardUploads(req);
+        activeWork.delete(req);
       });
+  });
+}
 
-      if (!fs.existsSync(tempOutput)) {
-        throw new Error('Ghostscript failed to generate output file.');
-      }
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return sendError(res, 'NOT_FOUND', 'Job not found.');
+  res.json(serializeJob(job));
+});
 
-      currentSize = fs.statSync(tempOutput).size;
-      console.log(`Iteration ${iteration + 1}: Output size = ${currentSize} bytes`);
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return sendError(res, 'NOT_FOUND', 'Job not found.');
 
-      if (currentSize <= targetSizeBytes * 1.1 && currentSize >= targetSizeBytes * 0.9) {
-        success = true;
-        break;
-      } else {
-        // Adjust DPI proportionally
-        const adjustmentFactor = Math.sqrt(targetSizeBytes / currentSize);
-        dpi = Math.max(50, Math.min(300, dpi * adjustmentFactor));
-        // Clean up previous temp file if not the final one
-        if (iteration < maxIterations - 1 && fs.existsSync(tempOutput)) {
-          fs.unlinkSync(tempOutput);
-        }
-      }
-    }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keeps nginx-style proxies from buffering the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
 
-    // Use the final tempOutput
-    fs.renameSync(tempOutput, outputPath);
-    if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+  if (job.progress) sendEvent(res, 'progress', job.progress);
+  if (!['queued', 'running'].includes(job.state)) return endJobStream(job, res);
 
-    const finalSize = fs.statSync(outputPath).size;
-    const percent = Math.round((1 - finalSize / originalSize) * 100);
+  job.streams.add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.streams.delete(res);
+  });
+});
 
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      originalSize,
-      finalSize,
-      compressionPercent: percent,
-      achievedTarget: success,
-    });
-  } catch (err) {
-    console.error('Compression Error:', err.message);
-    if (inputPath && fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    if (tempOutput && fs.existsSync(tempOutput)) fs.unlinkSync(tempOutput);
-    res.status(500).send(`PDF compression failed: ${err.message}`);
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return sendError(res, 'NOT_FOUND', 'Job not found.');
+
+  if (job.state === 'queued' || job.state === 'running') {
+    job.cancelled = true;
+    job.state = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    job.error = { code: 'CANCELLED', message: 'Job cancelled.', requestId: job.requestId };
+    job.children.forEach(killTree);
+    job.streams.forEach(stream => endJobStream(job, stream));
+    job.streams.clear();
   }
+
+  res.json(serializeJob(job));
 });
 
-// ... (rest of the app code, including app.listen)
+/* ------------ EXTERNAL TOOLS (CONCURRENCY & TIMEOUTS) ------------ */
+// Every external program runs through runCommand(), which takes a slot from its tool
+// group first. A group runs at most `concurrency` processes at once; further calls
+// wait in a queue of at most TOOL_QUEUE_LIMIT, beyond that they fail with 503 and a
+// Retry-After estimate. Processes that outlive the group's timeout are killed together
+// with everything they started (LibreOffice and ocrmypdf fork helpers).
+// Both settings can be overridden per group: GS_CONCURRENCY, FFMPEG_TIMEOUT_SECONDS, ...
+const TOOL_QUEUE_LIMIT = parseInt(process.env.TOOL_QUEUE_LIMIT) || 10;
+const MAX_TOOL_OUTPUT = 16 * 1024 * 1024;
+
+const TOOL_GROUP_DEFAULTS = {
+  gs: { concurrency: 2, timeoutSeconds: 300 },
+  qpdf: { concurrency: 4, timeoutSeconds: 60 },
+  ffmpeg: { concurrency: 1, timeoutSeconds: 1800 },
+  ffprobe: { concurrency: 4, timeoutSeconds: 30 },
+  ocrmypdf: { concurrency: 1, timeoutSeconds: 900 },
+  soffice: { concurrency: 1, timeoutSeconds: 300 },
+  poppler: { concurrency: 2, timeoutSeconds: 300 },
+  other: { concurrency: 4, timeoutSeconds: 60 },
+};
+const POPPLER_COMMANDS = ['pdftoppm', 'pdftotext', 'pdftohtml', 'pdffonts', 'pdfimages'];
+
+const toolGroups = Object.fromEntries(Object.entries(TOOL_GROUP_DEFAULTS).map(([name, defaults]) => {
+  const env = name.toUpperCase();
+  return [name, {
+    name,
+    concurrency: parseInt(process.env[`${env}_CONCURRENCY`]) || defaults.concurrency,
+    timeoutMs: (parseInt(process.env[`${env}_TIMEOUT_SECONDS`]) || defaults.timeoutSeconds) * 1000,
+    active: 0,
+    queue: [],
+    // Moving average of finished runs, for Retry-After.
+    averageMs: 10000,
+  }];
+}));
 
-// ... (rest of the app code, including app.listen)
+function toolGroup(command) {
+  if (POPPLER_COMMANDS.includes(command)) return toolGroups.poppler;
+  return toolGroups[command] || toolGroups.other;
+}
 
-app.post('/compress-pdf', upload.single('file'), async (req, res) => {
-  const compression = parseInt(req.body.compression) || 60;
-  const inputPath = req.file.path;
-  const originalSize = fs.statSync(inputPath).size;
+function toolBusy(group) {
+  return group.queue.length >= TOOL_QUEUE_LIMIT;
+}
 
-  if (compression >= 90) {
-    const outputDir = path.join('compressed', `temp_${Date.now()}`);
-    const outputPdf = path.join('compressed', `extreme_${Date.now()}.pdf`);
+function busyError(group) {
+  const waitMs = group.averageMs * (group.queue.length + 1) / group.concurrency;
+  const err = httpError('BUSY', 'The server is busy. Please try again shortly.');
+  err.retryAfter = Math.min(300, Math.max(5, Math.ceil(waitMs / 1000)));
+  err.toolGroup = group.name;
+  return err;
+}
 
-    try {
-      if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
 
-      const dpi = 50;
-      const quality = 30;
+function acquireSlot(group) {
+  if (group.active < group.concurrency) {
+    group.active++;
+    return Promise.resolve();
+  }
+  if (toolBusy(group)) return Promise.reject(busyError(group));
+  return new Promise(resolve => group.queue.push(resolve));
+}
+
+function releaseSlot(group) {
+  const next = group.queue.shift();
+  if (next) next();
+  else group.active--;
+}
+
+// Tools are spawned as their own process group (detached), so a negative pid reaches
+// the children they forked as well.
+function killTree(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch {
+    child.kill('SIGKILL');
+  }
+}
+
+// Runs a tool with an argument array, so nothing passes through a shell: file names,
+// passwords and other user input reach the tool verbatim. The child is registered with
+// its job so it can be killed on cancel. Rejects with err.code = exit code (or
+// 'ETIMEDOUT') and err.stderr. `onStderr(text)` sees stderr as it arrives, for tools
+// that report progress there.
+async function runCommand(command, args, job, { onStderr } = {}) {
+  const group = toolGroup(command);
+  if (job?.cancelled) throw httpError('CANCELLED', 'Job cancelled.');
+  await acquireSlot(group);
+
+  const startedAt = Date.now();
+  try {
+    if (job?.cancelled) throw httpError('CANCELLED', 'Job cancelled.');
 
-      const cmd = `pdftoppm "${inputPath}" "${outputDir}/page" -jpeg -r ${dpi}`;
-      console.log(`📄 Converting to JPGs @ ${dpi} DPI for extreme compression`);
+    return await new Promise((resolve, reject) => {
+      const child = spawn(command, args, { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
 
-      await new Promise((resolve, reject) => {
-        exec(cmd, (err, stdout, stderr) => {
-          if (err) return reject(stderr);
-          resolve();
-        });
+      child.stdout.setEncoding('utf8').on('data', chunk => {
+        if (stdout.length < MAX_TOOL_OUTPUT) stdout += chunk;
+      });
+      child.stderr.setEncoding('utf8').on('data', chunk => {
+        if (stderr.length < MAX_TOOL_OUTPUT) stderr += chunk;
+        if (onStderr) onStderr(chunk);
       });
 
-      const imageFiles = fs.readdirSync(outputDir).filter(f => f.endsWith('.jpg')).sort();
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killTree(child);
+      }, group.timeoutMs);
+
+      job?.children.add(child);
+      const settle = (err) => {
+        clearTimeout(timer);
+        job?.children.delete(child);
+        if (job?.cancelled) return reject(httpError('CANCELLED', 'Job cancelled.'));
+        if (err) {
+          err.stderr = stderr;
+          return reject(err);
+        }
+        resolve({ stdout, stderr });
+      };
+
+      child.on('error', settle);
+      child.on('close', (code, signal) => {
+        if (timedOut) {
+          const err = new Error(`${command} timed out after ${group.timeoutMs / 1000}s.`);
+          err.code = 'ETIMEDOUT';
+          return settle(err);
+        }
+        if (code === 0) return settle(null);
 
-      if (imageFiles.length === 0) throw new Error('❌ No JPGs generated from PDF.');
+        const err = new Error(`${command} exited with ${signal || `code ${code}`}.`);
+        err.code = code;
+        err.signal = signal;
+        settle(err);
+      });
+    });
+  } finally {
+    group.averageMs = group.averageMs * 0.8 + (Date.now() - startedAt) * 0.2;
+    chargeToolTime(Date.now() - startedAt);
+    releaseSlot(group);
+  }
+}
+
+/* ------------ ACCESS CONTROL (API KEYS, RATE LIMITS & QUOTAS) ------------ */
+// Tool routes are limited per caller: an API key (X-API-Key header or
+// "Authorization: Bearer <key>") or, without one, the client IP. REQUIRE_API_KEY=true
+// turns anonymous access off; an unknown key is always a 401.
+//   Rate limit: every route costs points per request (TOOL_COSTS of the tools it runs,
+//     or `cost` in its definition; RATE_COSTS="compress-video=20,merge-pdf=1" overrides)
+//     and a caller may spend pointsPerMinute of them per minute.
+//   Daily quotas: bytes uploaded and CPU seconds, counted as the run time of the
+//     external tools the caller's requests start. They reset at UTC midnight and are
+//     kept in USAGE_FILE so a restart does not reset them.
+// Over a limit the route answers 429 with Retry-After; every tool response carries
+// X-RateLimit-* and X-Quota-* headers. GET /usage shows the caller's own counters.
+//
+// API_KEYS_FILE is a JSON object keyed by the SHA-256 hex of each key (so the file
+// holds no usable secrets) and is re-read when it changes:
+//   { "<sha256>": { "name": "acme", "pointsPerMinute": 600, "dailyMB": 20000, "dailyCpuSeconds": 36000 } }
+// Fields left out fall back to the KEY_* environment defaults.
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const API_KEYS_FILE = process.env.API_KEYS_FILE || 'api-keys.json';
+const USAGE_FILE = process.env.USAGE_FILE || path.join('data', 'usage.json');
+
+const envInt = (name, fallback) => parseInt(process.env[name]) || fallback;
+const DEFAULT_LIMITS = {
+  ip: {
+    pointsPerMinute: envInt('IP_POINTS_PER_MINUTE', 30),
+    dailyMB: envInt('IP_DAILY_MB', 1000),
+    dailyCpuSeconds: envInt('IP_DAILY_CPU_SECONDS', 1800),
+  },
+  key: {
+    pointsPerMinute: envInt('KEY_POINTS_PER_MINUTE', 120),
+    dailyMB: envInt('KEY_DAILY_MB', 20000),
+    dailyCpuSeconds: envInt('KEY_DAILY_CPU_SECONDS', 36000),
+  },
+};
 
-      const pdfDoc = await PDFDocument.create();
+const TOOL_COSTS = { ffmpeg: 10, ocrmypdf: 10, soffice: 5, gs: 3, poppler: 2, qpdf: 1 };
+const RATE_COSTS = Object.fromEntries((process.env.RATE_COSTS || '')
+  .split(',')
+  .map(entry => entry.split('=').map(part => part.trim()))
+  .filter(([route, cost]) => route && parseInt(cost) > 0)
+  .map(([route, cost]) => [`/${route.replace(/^\/+/, '')}`, parseInt(cost)]));
 
-      for (const filename of imageFiles) {
-        const imagePath = path.join(outputDir, filename);
-        const imageBytes = fs.readFileSync(imagePath);
-        const image = await pdfDoc.embedJpg(imageBytes);
-        const page = pdfDoc.addPage([image.width, image.height]);
-        page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
-      }
+function routeCost(routePath, def) {
+  return RATE_COSTS[routePath] || def.cost || Math.max(1, ...(def.tools || []).map(tool => TOOL_COSTS[tool] || 1));
+}
 
-      const pdfBytes = await pdfDoc.save();
-      fs.writeFileSync(outputPdf, pdfBytes);
+let apiKeys = {};
 
-      fs.unlinkSync(inputPath);
-      fs.rmSync(outputDir, { recursive: true, force: true });
+function loadApiKeys() {
+  try {
+    apiKeys = fs.existsSync(API_KEYS_FILE) ? JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')) : {};
+  } catch (err) {
+    // Keep the previous keys rather than locking everyone out over a bad edit.
+    log.error('Could not load API keys', { file: API_KEYS_FILE, error: err.message });
+  }
+}
+loadApiKeys();
+fs.watchFile(API_KEYS_FILE, { interval: 5000 }, loadApiKeys).unref();
+
+function presentedApiKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return req.get('x-api-key') || (bearer && bearer[1]) || null;
+}
+
+// Returns { id, name, limits } for the request, or throws a 401.
+function identifyCaller(req) {
+  const key = presentedApiKey(req);
+  if (!key) {
+    if (REQUIRE_API_KEY) throw httpError('UNAUTHORIZED', 'An API key is required.');
+    return { id: `ip:${req.ip}`, name: null, limits: DEFAULT_LIMITS.ip };
+  }
 
-      const finalSize = pdfBytes.length;
-      const percent = Math.round((1 - finalSize / originalSize) * 100);
+  const hash = crypto.createHash('sha256').update(key).digest('hex');
+  const entry = apiKeys[hash];
+  if (!entry) throw httpError('UNAUTHORIZED', 'Invalid API key.');
+  return {
+    id: `key:${hash.slice(0, 16)}`,
+    name: entry.name || null,
+    limits: { ...DEFAULT_LIMITS.key, ...entry },
+  };
+}
+
+// Fixed one-minute windows: caller id -> { resetAt, points }.
+const rateWindows = new Map();
+
+function rateWindow(callerId) {
+  let window = rateWindows.get(callerId);
+  if (!window || window.resetAt <= Date.now()) {
+    window = { resetAt: Date.now() + 60000, points: 0 };
+    rateWindows.set(callerId, window);
+  }
+  return window;
+}
 
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${path.basename(outputPdf)}`,
-        originalSize,
-        finalSize,
-        compressionPercent: percent,
-        method: 'extreme'
-      });
+setInterval(() => {
+  rateWindows.forEach((window, callerId) => window.resetAt <= Date.now() && rateWindows.delete(callerId));
+}, 60000).unref();
 
-    } catch (err) {
-      console.error('❌ Extreme compression failed:', err);
-      if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-      if (fs.existsSync(outputDir)) fs.rmSync(outputDir, { recursive: true });
-      return res.status(500).send('Extreme compression failed.');
-    }
+const utcDay = () => new Date().toISOString().slice(0, 10);
 
-  } else {
-    const outputFilename = `compressed_${Date.now()}.pdf`;
-    const outputPath = path.join('compressed', outputFilename);
+let usage = { day: utcDay(), callers: {} };
+try {
+  if (fs.existsSync(USAGE_FILE)) usage = JSON.parse(fs.readFileSync(USAGE_FILE, 'utf8'));
+} catch (err) {
+  log.warn('Could not load usage, starting with empty usage', { file: USAGE_FILE, error: err.message });
+}
 
-    let setting = '/ebook';
-    if (compression >= 80) setting = '/screen';
-    else if (compression >= 60) setting = '/ebook';
-    else if (compression >= 40) setting = '/printer';
-    else setting = '/prepress';
+let usageSaveTimer = null;
 
-    const gsCmd = `gs -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 \
--dDownsampleColorImages=true -dColorImageResolution=72 \
--dDownsampleGrayImages=true -dGrayImageResolution=72 \
--dDownsampleMonoImages=true -dMonoImageResolution=72 \
--dCompressFonts=true -dEmbedAllFonts=true -dSubsetFonts=true \
--dAutoRotatePages=/None -dPDFSETTINGS=${setting} -dNOPAUSE -dQUIET -dBATCH \
--sOutputFile="${outputPath}" "${inputPath}"`;
+// Writes are batched (at most every 5s) and atomic, so a crash never leaves half a file.
+function saveUsage() {
+  if (usageSaveTimer) return;
+  usageSaveTimer = setTimeout(() => {
+    usageSaveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(USAGE_FILE), { recursive: true });
+      fs.writeFileSync(`${USAGE_FILE}.tmp`, JSON.stringify(usage));
+      fs.renameSync(`${USAGE_FILE}.tmp`, USAGE_FILE);
+    } catch (err) {
+      log.error('Could not save usage', { file: USAGE_FILE, error: err.message });
+    }
+  }, 5000);
+  usageSaveTimer.unref();
+}
+
+function callerUsage(callerId) {
+  if (usage.day !== utcDay()) usage = { day: utcDay(), callers: {} };
+  return usage.callers[callerId] || (usage.callers[callerId] = { requests: 0, bytes: 0, cpuSeconds: 0 });
+}
+
+function secondsUntilUtcMidnight() {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight - Date.now()) / 1000);
+}
+
+// Tool routes put the caller into the request context so runCommand() can charge the
+// tool's run time to it, including work that continues as a background job.
+function chargeToolTime(ms) {
+  const caller = requestContext.getStore()?.caller;
+  if (!caller) return;
+  callerUsage(caller.id).cpuSeconds += ms / 1000;
+  saveUsage();
+}
+
+function setLimitHeaders(res, caller, window) {
+  const used = callerUsage(caller.id);
+  const { pointsPerMinute, dailyMB, dailyCpuSeconds } = caller.limits;
+  res.set({
+    'X-RateLimit-Limit': String(pointsPerMinute),
+    'X-RateLimit-Remaining': String(Math.max(0, pointsPerMinute - window.points)),
+    'X-RateLimit-Reset': String(Math.ceil((window.resetAt - Date.now()) / 1000)),
+    'X-Quota-Bytes-Limit': String(dailyMB * MB),
+    'X-Quota-Bytes-Remaining': String(Math.max(0, dailyMB * MB - used.bytes)),
+    'X-Quota-CPU-Seconds-Limit': String(dailyCpuSeconds),
+    'X-Quota-CPU-Seconds-Remaining': String(Math.max(0, Math.floor(dailyCpuSeconds - used.cpuSeconds))),
+    'X-Quota-Reset': String(secondsUntilUtcMidnight()),
+  });
+}
+
+function sendLimited(res, retryAfter, code, message) {
+  res.set('Retry-After', String(retryAfter));
+  sendError(res, code, message);
+}
+
+// First step of every tool route: identifies the caller, spends the route's points and
+// refuses callers that are over their rate limit or either daily quota. The upload
+// itself is checked against the byte quota by its Content-Length.
+function admitCaller(req, res, cost) {
+  let caller;
+  try {
+    caller = identifyCaller(req);
+  } catch (err) {
+    sendFailure(res, err);
+    return false;
+  }
 
-    console.log(`🧠 Ghostscript compression @${compression}% with setting ${setting}`);
-    exec(gsCmd, (err, stdout, stderr) => {
-      fs.unlinkSync(inputPath);
-      if (err) {
-        console.error('❌ Ghostscript error:', stderr);
-        return res.status(500).send('PDF compression failed.');
-      }
+  const window = rateWindow(caller.id);
+  const used = callerUsage(caller.id);
+  const { pointsPerMinute, dailyMB, dailyCpuSeconds } = caller.limits;
+  const incomingBytes = parseInt(req.get('content-length')) || 0;
 
-      const finalSize = fs.statSync(outputPath).size;
-      const percent = Math.round((1 - finalSize / originalSize) * 100);
+  if (window.points + cost > pointsPerMinute) {
+    setLimitHeaders(res, caller, window);
+    sendLimited(res, Math.ceil((window.resetAt - Date.now()) / 1000), 'RATE_LIMITED', 'Rate limit exceeded. Slow down and try again shortly.');
+    return false;
+  }
+  if (used.bytes + incomingBytes > dailyMB * MB) {
+    setLimitHeaders(res, caller, window);
+    sendLimited(res, secondsUntilUtcMidnight(), 'QUOTA_EXCEEDED', 'Daily upload quota exceeded.');
+    return false;
+  }
+  if (used.cpuSeconds >= dailyCpuSeconds) {
+    setLimitHeaders(res, caller, window);
+    sendLimited(res, secondsUntilUtcMidnight(), 'QUOTA_EXCEEDED', 'Daily processing time quota exceeded.');
+    return false;
+  }
 
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-        originalSize,
-        finalSize,
-        compressionPercent: percent,
-        method: 'standard'
-      });
-    });
+  window.points += cost;
+  used.requests++;
+  saveUsage();
+  setLimitHeaders(res, caller, window);
+  req.caller = caller;
+  return true;
+}
+
+function chargeUploads(req) {
+  const bytes = requestUploads(req).reduce((total, file) => total + file.size, 0);
+  if (!req.caller || bytes === 0) return;
+  callerUsage(req.caller.id).bytes += bytes;
+  saveUsage();
+}
+
+app.get('/usage', (req, res) => {
+  let caller;
+  try {
+    caller = identifyCaller(req);
+  } catch (err) {
+    return sendFailure(res, err);
   }
-});
 
+  const { requests, bytes, cpuSeconds } = callerUsage(caller.id);
+  const { pointsPerMinute, dailyMB, dailyCpuSeconds } = caller.limits;
+  res.json({
+    caller: caller.name || caller.id.replace(/^ip:.*/, 'anonymous'),
+    day: usage.day,
+    resetsInSeconds: secondsUntilUtcMidnight(),
+    usage: { requests, bytes, cpuSeconds: Math.round(cpuSeconds) },
+    limits: { pointsPerMinute, dailyBytes: dailyMB * MB, dailyCpuSeconds },
+    routeCosts: Object.fromEntries(toolRoutes.map(route => [route.path, route.cost])),
+  });
+});
 
+/* ------------ TOOL ROUTES (UPLOAD LIMITS & VALIDATION) ------------ */
+// Every route that takes uploads is registered through toolRoute(), which runs multer
+// with the route's limits and then checks the uploads before the handler (and so
+// before any tool) runs. Anything wrong is answered with a 400 error and the uploads
+// are deleted.
+//   files:       { [field]: { accept, max = 1, required = true } }; one field with
+//                max 1 arrives as req.file, one with a higher max as the req.files
+//                array, several fields as the req.files object (like multer itself)
+//   minFiles:    uploads needed across all fields (default 1)
+//   maxFileSize: bytes per file (default MAX_UPLOAD_MB)
+//   maxPages:    page limit per PDF upload (default MAX_PDF_PAGES)
+//   tools:       tool groups the route runs; when one of their queues is full the
+//                request is turned away with 503 before the upload is read
+//   cost:        rate limit points per request (default: from `tools`)
+// and, for /openapi.json only:
+//   summary, options ({ [form field]: schema }), response ({ [property]: schema }),
+//   async (the route accepts async=true)
+const MB = 1024 * 1024;
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 100;
+const MAX_PDF_PAGES = parseInt(process.env.MAX_PDF_PAGES) || 2000;
+// Rendering and OCR cost grows with every page, so those routes take fewer.
+const MAX_RASTER_PAGES = parseInt(process.env.MAX_RASTER_PAGES) || 500;
+const MAX_PDF_FILES = 50;
+
+// Detected from the first bytes of the file, never from the name or the browser's mimetype.
+const FILE_KINDS = {
+  pdf: { label: 'PDF', types: ['pdf'] },
+  image: { label: 'supported image', types: ['jpeg', 'png', 'gif', 'webp', 'tiff', 'bmp', 'heic', 'avif'] },
+  video: { label: 'supported video', types: ['mp4', 'matroska', 'avi', 'mpeg'] },
+  // Office files are ZIP (OOXML, ODF) or OLE2 (legacy .doc/.xls/.ppt) containers.
+  document: { label: 'supported document', types: ['zip', 'ole', 'rtf', 'text', 'pdf'] },
+  // PKCS#12 bundles are a bare DER SEQUENCE; the tool itself reports anything else.
+  certificate: { label: 'PKCS#12 (.p12/.pfx) certificate', types: ['der'] },
+};
+
+function sniffFileType(filePath) {
+  const buffer = Buffer.alloc(4096);
+  const fd = fs.openSync(filePath, 'r');
+  const length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  fs.closeSync(fd);
+  const head = buffer.subarray(0, length);
+
+  const ascii = (start, end) => head.subarray(start, end).toString('latin1');
+  const hex = (start, end) => head.subarray(start, end).toString('hex');
+
+  // Some generators put junk before the header; readers accept it within the first 1KB.
+  if (ascii(0, 1024).includes('%PDF-')) return 'pdf';
+  if (hex(0, 3) === 'ffd8ff') return 'jpeg';
+  if (hex(0, 8) === '89504e470d0a1a0a') return 'png';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return 'avi';
+  if (['49492a00', '4d4d002a'].includes(hex(0, 4))) return 'tiff';
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (/^(heic|heix|hevc|hevx|heim|heis|mif1|msf1)$/.test(brand)) return 'heic';
+    if (/^avi[fs]$/.test(brand)) return 'avif';
+    return 'mp4';
+  }
+  if (hex(0, 4) === '1a45dfa3') return 'matroska';
+  if (['000001ba', '000001b3'].includes(hex(0, 4)) || (head[0] === 0x47 && head[188] === 0x47)) return 'mpeg';
+  if (hex(0, 4) === '504b0304') return 'zip';
+  if (hex(0, 8) === 'd0cf11e0a1b11ae1') return 'ole';
+  if (ascii(0, 5) === '{\\rtf') return 'rtf';
+  if (head[0] === 0x30 && head[1] >= 0x80 && head[1] <= 0x84) return 'der';
+  if (length > 0 && !head.includes(0)) return 'text';
+  return null;
+}
+
+function uploadFailure(err, maxFileSize) {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE': return httpError('FILE_TOO_LARGE', `File is too large. This tool accepts files up to ${Math.round(maxFileSize / MB)}MB.`);
+    case 'LIMIT_FILE_COUNT': return invalidInput('Too many files.');
+    case 'LIMIT_UNEXPECTED_FILE': return invalidInput(`Unexpected file field "${err.field}" (or too many files in it).`);
+    // Truncated or malformed multipart bodies; their messages are parser internals.
+    default: return invalidInput('The upload could not be read.');
+  }
+}
+
+function requestUploads(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return Object.values(req.files || {}).flat();
+}
+
+function discardUploads(req) {
+  requestUploads(req).forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+}
+
+async function checkUploads(req, { files, minFiles = 1, maxPages = MAX_PDF_PAGES }) {
+  const uploads = requestUploads(req);
+  if (uploads.length < minFiles) {
+    return httpError('MISSING_FILE', minFiles === 1 ? 'Missing file.' : `Upload at least ${minFiles} files.`);
+  }
 
+  for (const [field, { accept, required = true }] of Object.entries(files)) {
+    const fieldUploads = uploads.filter(file => file.fieldname === field);
+    if (required && fieldUploads.length === 0) return httpError('MISSING_FILE', field === 'file' ? 'Missing file.' : `Missing ${field}.`);
+
+    for (const file of fieldUploads) {
+      const kind = FILE_KINDS[accept];
+      const type = sniffFileType(file.path);
+      if (!kind.types.includes(type)) return unsupportedFormat(`${file.originalname} is not a ${kind.label}.`);
+      file.detectedType = type;
+
+      // PDFs pdf-lib cannot parse (broken or with an encrypted page tree) are left for
+      // the tool itself to report on.
+      if (type === 'pdf' && maxPages) {
+        const pages = await pdfPageCount(file.path).catch(() => null);
+        if (pages > maxPages) {
+          return httpError('TOO_MANY_PAGES', `${file.originalname} has ${pages} pages; this tool accepts at most ${maxPages}.`);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+const PDF_UPLOAD = { file: { accept: 'pdf' } };
+const DOCUMENT_UPLOAD = { file: { accept: 'document' } };
+const VIDEO_ROUTE = {
+  files: { file: { accept: 'video' } },
+  maxFileSize: (parseInt(process.env.MAX_VIDEO_UPLOAD_MB) || 500) * MB,
+  tools: ['ffmpeg'],
+  async: true,
+};
+
+// Schema shorthands for route descriptions. Form fields always arrive as strings; the
+// types say how the route reads them.
+const spec = {
+  string: (description, extra) => ({ type: 'string', description, ...extra }),
+  integer: (description, extra) => ({ type: 'integer', description, ...extra }),
+  number: (description, extra) => ({ type: 'number', description, ...extra }),
+  boolean: (description, extra) => ({ type: 'boolean', description, ...extra }),
+  oneOf: (values, description, extra) => ({ type: 'string', enum: values, description, ...extra }),
+  json: (description) => ({ type: 'string', contentMediaType: 'application/json', description }),
+  array: (items, description) => ({ type: 'array', items, description }),
+  object: (properties, description) => ({ type: 'object', properties, description }),
+};
+
+const OUTPUT_FILE = {
+  downloadUrl: spec.string('Download link for the result; it expires after OUTPUT_TTL_MINUTES.', { format: 'uri' }),
+  size: spec.integer('Size of the result in bytes.'),
+};
+const SIZE_REPORT = {
+  downloadUrl: OUTPUT_FILE.downloadUrl,
+  originalSize: spec.integer('Input size in bytes.'),
+  finalSize: spec.integer('Output size in bytes.'),
+  compressionPercent: spec.integer('How much smaller the output is, in percent.'),
+};
+const PAGES_OPTION = spec.string('Pages to use, e.g. "1-3,7" (default: all).');
+const TIME_OPTION = name => spec.string(`${name} time, in seconds or hh:mm:ss.`);
+
+const toolRoutes = [];
+
+function toolRoute(routePath, def, handler) {
+  const maxFileSize = def.maxFileSize || MAX_UPLOAD_MB * MB;
+  const fields = Object.entries(def.files).map(([name, { max = 1 }]) => ({ name, maxCount: max }));
+  const uploader = multer({
+    storage,
+    limits: { fileSize: maxFileSize, files: fields.reduce((total, field) => total + field.maxCount, 0) },
+  });
 
+  let receive;
+  if (fields.length > 1) receive = uploader.fields(fields);
+  else if (fields[0].maxCount > 1) receive = uploader.array(fields[0].name, fields[0].maxCount);
+  else receive = uploader.single(fields[0].name);
 
+  const cost = routeCost(routePath, def);
+  toolRoutes.push({ path: routePath, ...def, maxFileSize, cost });
 
+  app.post(routePath, (req, res, next) => {
+    if (!admitCaller(req, res, cost)) return;
 
+    const busy = (def.tools || []).map(name => toolGroups[name]).find(toolBusy);
+    if (busy) return sendFailure(res, busyError(busy));
 
-/* ------------ CONVERT TO PDF ------------ */
-app.post('/convert-to-pdf', upload.single('file'), (req, res) => {
-  const inputPath = req.file.path;
-  const outputFilename = path.basename(req.file.originalname, path.extname(req.file.originalname)) + '.pdf';
-  const outputPath = path.join('compressed', outputFilename);
+    req.receivedAt = Date.now();
+    activeWork.add(req);
 
-  const file = fs.readFileSync(inputPath);
+    // Safety net for uploads a handler did not clean up (e.g. after a killed tool);
+    // background jobs clean up in runTool instead.
+    res.on('close', () => {
+      if (!req.backgroundJob) discardUploads(req);
+      if (!req.toolRunning) activeWork.delete(req);
+    });
 
-  libre.convert(file, '.pdf', undefined, (err, done) => {
-    if (err) {
-      console.error('LibreOffice Convert Error:', err);
-      fs.unlinkSync(inputPath);
-      return res.status(500).send('File conversion failed.');
+    // multer removes what it already stored when it fails.
+    receive(req, res, err => {
+      if (err) return sendFailure(res, uploadFailure(err, maxFileSize));
+      next();
+    });
+  }, async (req, res, next) => {
+    req.body = req.body || {};
+    chargeUploads(req);
+    try {
+      const error = await checkUploads(req, def);
+      if (!error) return next();
+      discardUploads(req);
+      sendFailure(res, error);
+    } catch (err) {
+      discardUploads(req);
+      next(err);
     }
+  }, (req, res, next) => {
+    requestContext.run({ requestId: req.id, route: routePath, caller: req.caller }, () => handler(req, res, next));
+  });
+}
+
+/* ------------ OUTPUT STORAGE ------------ */
+// Routes write their result into compressed/ and hand it to publishOutput(), which
+// moves it into the configured store and returns the downloadUrl for the response.
+//   STORAGE_DRIVER=local (default): files stay in compressed/ and are served from
+//     PUBLIC_BASE_URL/compressed/<name>.
+//   STORAGE_DRIVER=s3: files are uploaded to S3_BUCKET (S3_ENDPOINT for MinIO or any
+//     other S3-compatible server) and the local copy is removed. Links are presigned
+//     for DOWNLOAD_URL_TTL_SECONDS unless S3_PUBLIC_BASE_URL points at a public bucket.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'https://file2do-backend-docker.onrender.com').replace(/\/+$/, '');
+
+function createLocalStore() {
+  return {
+    driver: 'local',
+    async put(filePath, name) {
+      const destination = path.join('compressed', name);
+      if (path.resolve(filePath) === path.resolve(destination)) return;
+      fs.copyFileSync(filePath, destination);
+      fs.unlinkSync(filePath);
+    },
+    async url(name) {
+      return `${PUBLIC_BASE_URL}/compressed/${encodeURIComponent(name)}`;
+    },
+    async remove(name) {
+      fs.rmSync(path.join('compressed', name), { recursive: true, force: true });
+    },
+  };
+}
+
+function createS3Store() {
+  const {
+    S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand,
+  } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3.');
+
+  const prefix = process.env.S3_PREFIX || '';
+  const publicBaseUrl = (process.env.S3_PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  const urlTtlSeconds = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 3600;
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true' || Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    } : undefined,
+  });
+  const keyFor = name => prefix + name;
+
+  return {
+    driver: 's3',
+    async put(filePath, name) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: keyFor(name),
+        Body: fs.createReadStream(filePath),
+        ContentLength: fs.statSync(filePath).size,
+        ContentDisposition: `attachment; filename="${name}"`,
+      }));
+      fs.unlinkSync(filePath);
+    },
+    async url(name) {
+      if (publicBaseUrl) return `${publicBaseUrl}/${encodeURIComponent(keyFor(name))}`;
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: keyFor(name) }), {
+        expiresIn: urlTtlSeconds,
+      });
+    },
+    async remove(name) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: keyFor(name) }));
+    },
+  };
+}
+
+const outputStore = process.env.STORAGE_DRIVER === 's3' ? createS3Store() : createLocalStore();
+
+async function publishOutput(outputPath, job) {
+  const name = path.basename(outputPath);
+  recordOutputBytes(fs.statSync(outputPath).size);
+  await outputStore.put(outputPath, name);
+  trackOutput(name, job);
+  return outputStore.url(name);
+}
+
+/* ------------ OUTPUT RETENTION ------------ */
+// Published outputs are downloadable by anyone with the link, so they only live for
+// OUTPUT_TTL_MINUTES. The sweeper also removes leftovers nobody tracks in the local
+// folders (temp_* files, jpgs_* folders, files from before a restart) once they are
+// that old. Removed names are remembered for a while so their links answer 410.
+// With the s3 driver, add a bucket lifecycle rule as well: objects published before
+// a restart are no longer tracked here.
+const OUTPUT_TTL_MS = (parseInt(process.env.OUTPUT_TTL_MINUTES) || 60) * 60 * 1000;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.OUTPUT_SWEEP_INTERVAL_MINUTES) || 5) * 60 * 1000;
+const TOMBSTONE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const outputs = new Map();        // name -> { createdAt, expiresAt, jobId, callerId }
+const removedOutputs = new Map(); // name -> removedAt
+
+function trackOutput(name, job) {
+  const createdAt = Date.now();
+  const callerId = requestContext.getStore()?.caller?.id ?? null;
+  outputs.set(name, { createdAt, expiresAt: createdAt + OUTPUT_TTL_MS, jobId: job?.id ?? null, callerId });
+  removedOutputs.delete(name);
+  return name;
+}
+
+function removeOutput(name) {
+  fs.rmSync(path.join('compressed', name), { recursive: true, force: true });
+  if (outputs.has(name)) {
+    outputStore.remove(name).catch(err => log.error('Could not remove output from storage', { name, error: err.message }));
+  }
+  outputs.delete(name);
+  removedOutputs.set(name, Date.now());
+}
+
+// Requests still being worked on, background jobs included. Their uploads, work
+// folders and not yet published outputs are untracked entries in the local folders,
+// so the sweeper leaves alone anything newer than the oldest of them.
+const activeWork = new Set();
+
+function isExpired(name) {
+  const tracked = outputs.get(name);
+  return removedOutputs.has(name) || (tracked && tracked.expiresAt <= Date.now());
+}
+
+function sweepOutputs() {
+  const now = Date.now();
+  const workSince = Math.min(...[...activeWork].map(req => req.receivedAt));
+
+  for (const [name, { expiresAt }] of outputs) {
+    if (expiresAt <= now) removeOutput(name);
+  }
 
-    fs.writeFileSync(outputPath, done);
-    const convertedSize = fs.statSync(outputPath).size;
+  for (const folder of ['compressed', 'uploads']) {
+    for (const name of fs.readdirSync(folder)) {
+      if (name === '.gitkeep' || (folder === 'compressed' && outputs.has(name))) continue;
+      const entryPath = path.join(folder, name);
+      try {
+        const { mtimeMs } = fs.statSync(entryPath);
+        if (mtimeMs + OUTPUT_TTL_MS > now || mtimeMs >= workSince) continue;
+        if (folder === 'compressed') removeOutput(name);
+        else fs.rmSync(entryPath, { recursive: true, force: true });
+      } catch (err) {
+        log.error('Could not sweep file', { path: entryPath, error: err.message });
+      }
+    }
+  }
 
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      size: convertedSize
-    });
+  for (const [name, removedAt] of removedOutputs) {
+    if (removedAt + TOMBSTONE_TTL_MS <= now) removedOutputs.delete(name);
+  }
 
-    fs.unlinkSync(inputPath);
-  });
-});
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) + OUTPUT_TTL_MS <= now) jobs.delete(id);
+  }
+}
 
-/* ------------ IMAGE TO PDF ------------ */
-app.post('/image-to-pdf', upload.single('file'), async (req, res) => {
-  const inputPath = req.file.path;
-  const outputFilename = `converted_${Date.now()}.pdf`;
-  const outputPath = path.join('compressed', outputFilename);
+sweepOutputs();
+setInterval(sweepOutputs, SWEEP_INTERVAL_MS).unref();
 
-  const fileExt = path.extname(req.file.originalname).toLowerCase();
-  const allowed = ['.jpg', '.jpeg', '.png'];
+app.use('/compressed', (req, res, next) => {
+  let name;
+  try {
+    name = decodeURIComponent(req.path.split('/')[1] || '');
+  } catch {
+    return sendError(res, 'INVALID_INPUT', 'Invalid file name.');
+  }
+  if (!name || !isExpired(name)) return next();
 
-  if (!allowed.includes(fileExt)) {
-    fs.unlinkSync(inputPath);
-    return res.status(400).send('Only JPG, PNG, and JPEG files are allowed.');
+  if (outputs.has(name)) removeOutput(name);
+  sendError(res, 'GONE', 'This file has expired or was deleted.');
+});
+app.use('/compressed', express.static(path.join(__dirname, 'compressed'), {
+  setHeaders: (res, filePath) => {
+    res.setHeader('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
   }
+}));
 
+// Only the caller (API key, or IP without one) that produced an output can delete it.
+// Outputs this process does not track, such as S3 objects from before a restart,
+// have no known owner and are left to expire.
+app.delete('/files/:name', (req, res) => {
+  let caller;
   try {
-    const imageBytes = fs.readFileSync(inputPath);
-    const pdfDoc = await PDFDocument.create();
-
-    const image = (fileExt === '.png')
-      ? await pdfDoc.embedPng(imageBytes)
-      : await pdfDoc.embedJpg(imageBytes);
+    caller = identifyCaller(req);
+  } catch (err) {
+    return sendFailure(res, err);
+  }
 
-    const page = pdfDoc.addPage([image.width, image.height]);
-    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+  const { name } = req.params;
+  if (name !== path.basename(name) || name.startsWith('.')) {
+    return sendError(res, 'INVALID_INPUT', 'Invalid file name.');
+  }
+  if (isExpired(name)) {
+    return sendError(res, 'GONE', 'This file has expired or was deleted.');
+  }
+  if (outputs.get(name)?.callerId !== caller.id) {
+    return sendError(res, 'NOT_FOUND', 'File not found.');
+  }
 
-    const pdfBytes = await pdfDoc.save();
-    fs.writeFileSync(outputPath, pdfBytes);
+  removeOutput(name);
+  res.json({ deleted: name });
+});
 
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      size: pdfBytes.length
-    });
+/* ------------ LIBREOFFICE (SOFFICE) ------------ */
+// Each conversion gets its own output folder and LibreOffice profile, so parallel
+// requests never pick up each other's files or fight over the profile lock.
+// Pass `workDir` to convert inside a folder the caller already cleans up; otherwise
+// a temp folder is created and returned for the caller to remove.
+// `infilter` forces an import filter (e.g. writer_pdf_import for PDFs).
+async function sofficeConvert(inputPath, format, job, { workDir, infilter } = {}) {
+  const ownsWorkDir = !workDir;
+  workDir = workDir || fs.mkdtempSync(path.join(os.tmpdir(), 'soffice_'));
+  const profileUrl = pathToFileURL(path.join(workDir, 'profile')).href;
+  const outDir = fs.mkdtempSync(path.join(workDir, 'out_'));
 
-    fs.unlinkSync(inputPath);
+  try {
+    await runCommand('soffice', [
+      `-env:UserInstallation=${profileUrl}`,
+      '--headless',
+      ...(infilter ? [`--infilter=${infilter}`] : []),
+      '--convert-to', format,
+      '--outdir', outDir,
+      path.resolve(inputPath),
+    ], job);
+
+    const [produced] = fs.readdirSync(outDir);
+    if (!produced) throw new Error('LibreOffice did not produce an output file.');
+    return { filePath: path.join(outDir, produced), workDir };
   } catch (err) {
-    console.error('Image to PDF Error:', err);
-    res.status(500).send('Image to PDF conversion failed.');
+    if (ownsWorkDir) fs.rmSync(workDir, { recursive: true, force: true });
+    throw err;
   }
-});
-
-
-/* ------------ MAKE PDF SEARCHABLE ------------ */
-app.post('/make-searchable', upload.single('file'), (req, res) => {
-  const inputPath = req.file.path;
-  const outputFilename = `searchable_${Date.now()}.pdf`;
-  const outputPath = path.join('compressed', outputFilename);
+}
 
-  const cmd = `ocrmypdf --force-ocr --output-type pdf "${inputPath}" "${outputPath}"`;
 
-  exec(cmd, (err, stdout, stderr) => {
-    if (err) {
-      console.error('OCRmyPDF error:', stderr);
-      fs.unlinkSync(inputPath);
-      return res.status(500).send('Making searchable PDF failed.');
-    }
+/* ------------ ZIP OUTPUT ------------ */
+// `fill(archive)` adds the entries (archive.file / archive.append / archive.directory).
+function writeZip(zipPath, fill) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
 
-    const newSize = fs.statSync(outputPath).size;
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      size: newSize
-    });
+    output.on('close', resolve);
+    archive.on('error', reject);
 
-    fs.unlinkSync(inputPath);
+    archive.pipe(output);
+    fill(archive);
+    archive.finalize();
   });
-});
-
+}
 
+// ... (keep existing imports and app setup)
 
-app.post('/merge-pdf', upload.array('files'), async (req, res) => {
-  const files = req.files;
-  if (!files || files.length < 2) {
-    return res.status(400).send('Upload at least two PDF files.');
+// The search runs Ghostscript at a "strength" between 0 (300 dpi, JPEG quality 90) and
+// 1 (50 dpi, quality 25). Output size falls as strength rises, so every round runs
+// COMPRESS_TO_SIZE_PARALLEL strengths side by side and narrows the bracket around the
+// target. When full strength is still too big the search is repeated in grayscale
+// (allowGrayscale=true) and then only the heaviest pages of the best result are
+// rasterized with pdftoppm (allowRasterize, on by default). The answer is the best
+// candidate seen: the largest one at most 10% over the target, else the smallest.
+const SIZE_SEARCH_PARALLEL = parseInt(process.env.COMPRESS_TO_SIZE_PARALLEL) || toolGroups.gs.concurrency;
+const SIZE_SEARCH_ROUNDS = 3;
+const SIZE_TOLERANCE = 0.1;
+const PAGE_RASTER_STEPS = [
+  { dpi: 110, jpegQuality: 60 },
+  { dpi: 80, jpegQuality: 45 },
+  { dpi: 60, jpegQuality: 35 },
+];
+
+function strengthSettings(strength) {
+  return {
+    dpi: Math.round(300 * (50 / 300) ** strength),
+    jpegQuality: Math.round(90 - 65 * strength),
+  };
+}
+
+// Sorted 0-based page indices -> 1-based { start, end } runs, so consecutive pages
+// share one pdftoppm run.
+function indexRanges(indices) {
+  const ranges = [];
+  for (const index of indices) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === index) last.end = index + 1;
+    else ranges.push({ start: index + 1, end: index + 1 });
   }
-
-  try {
-    const mergedPdf = await PDFDocument.create();
-
-    for (const file of files) {
-      const pdfBytes = fs.readFileSync(file.path);
-      const pdf = await PDFDocument.load(pdfBytes);
-      const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-      copiedPages.forEach(page => mergedPdf.addPage(page));
-      fs.unlinkSync(file.path); // clean up
+  return ranges;
+}
+
+// pdftoppm names pages <prefix>-<n>.<ext>, zero-padded to the page count's width.
+function renderedPageNumber(filePath) {
+  return Number(path.basename(filePath).match(/-(\d+)\.\w+$/)[1]);
+}
+
+// Rebuilds `source` with some pages swapped for JPG renderings, given as a Map of
+// page index -> { path, dpi }. Only the kept pages are copied: copyPages pulls every
+// resource of the copied pages into the output.
+async function replacePagesWithImages(source, images) {
+  const output = await PDFDocument.create();
+  const keptIndices = source.getPageIndices().filter(index => !images.has(index));
+  const kept = new Map((await output.copyPages(source, keptIndices)).map((page, i) => [keptIndices[i], page]));
+
+  for (const index of source.getPageIndices()) {
+    if (kept.has(index)) {
+      output.addPage(kept.get(index));
+      continue;
     }
+    const { path: imagePath, dpi } = images.get(index);
+    // Copied out of Node's buffer pool: small reads share one, and the JPEG embedder
+    // reads from the start of the underlying ArrayBuffer.
+    const image = await output.embedJpg(new Uint8Array(fs.readFileSync(imagePath)));
+    const width = image.width * 72 / dpi;
+    const height = image.height * 72 / dpi;
+    output.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+  }
+  return output;
+}
+
+// [{ index, bytes }] for every page, heaviest first; a page weighs what it takes to
+// save it on its own.
+async function pageWeights(inputPath) {
+  const source = await PDFDocument.load(fs.readFileSync(inputPath));
+  const weights = [];
+  for (const index of source.getPageIndices()) {
+    weights.push({ index, bytes: (await extractPages(source, [index])).length });
+  }
+  return weights.sort((a, b) => b.bytes - a.bytes);
+}
+
+// Replaces the heaviest pages of a PDF with JPG renderings. Pages are taken from
+// `weights` (see pageWeights) until they account for `excessBytes`, assuming a
+// rendered page keeps about a third of its weight.
+// Returns the 1-based page numbers that were rasterized.
+async function rasterizeHeaviestPages(inputPath, outputPath, { weights, excessBytes, dpi, jpegQuality, grayscale }, job) {
+  const source = await PDFDocument.load(fs.readFileSync(inputPath));
+  const heavy = [];
+  let saved = 0;
+  for (const { index, bytes } of weights) {
+    if (saved >= excessBytes) break;
+    heavy.push(index);
+    saved += bytes * 2 / 3;
+  }
+  heavy.sort((a, b) => a - b);
 
-    const mergedPdfBytes = await mergedPdf.save();
-    const outputFilename = `merged_${Date.now()}.pdf`;
-    const outputPath = path.join('compressed', outputFilename);
-
-    fs.writeFileSync(outputPath, mergedPdfBytes);
-    res.json({ downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}` });
-
-  } catch (error) {
-    console.error('Merge Error:', error);
-    res.status(500).send('PDF merge failed.');
+  const renderDir = fs.mkdtempSync(path.join(path.dirname(outputPath), 'pages_'));
+  try {
+    const ranges = indexRanges(heavy);
+    const rendered = await rasterizePdf(inputPath, renderDir, { dpi, quality: jpegQuality, grayscale, ranges }, job);
+    const images = new Map(rendered.map(file => [renderedPageNumber(file) - 1, { path: file, dpi }]));
+    const output = await replacePagesWithImages(source, images);
+    fs.writeFileSync(outputPath, await output.save());
+  } finally {
+    fs.rmSync(renderDir, { recursive: true, force: true });
   }
+  return heavy.map(index => index + 1);
+}
+
+const SIZE_ATTEMPT = spec.object({
+  pass: spec.integer('1-based pass number.'),
+  method: spec.oneOf(['ghostscript', 'rasterize-pages'], 'How this candidate was made.'),
+  dpi: spec.integer('Image resolution used.'),
+  jpegQuality: spec.integer('JPEG quality used.'),
+  grayscale: spec.boolean('Whether the candidate was converted to grayscale.'),
+  pages: spec.array(spec.integer(), 'Pages that were rasterized (rasterize-pages only).'),
+  size: spec.integer('Candidate size in bytes.'),
+  withinTarget: spec.boolean('Whether the candidate is within 10% of the target.'),
 });
 
-/* ------------ PDF TO WORD ------------ */
-
-
-app.post('/pdf-to-word', upload.single('file'), async (req, res) => {
+toolRoute('/compress-pdf-to-size', {
+  files: PDF_UPLOAD,
+  tools: ['gs', 'poppler'],
+  async: true,
+  summary: 'Compress a PDF to roughly a target size, searching resolution, JPEG quality, grayscale and per-page rasterization.',
+  options: {
+    targetSize: spec.integer('Target size in KB.', { minimum: 10, maximum: 10000 }),
+    allowGrayscale: spec.boolean('Allow converting to grayscale when colour cannot reach the target.', { default: false }),
+    allowRasterize: spec.boolean('Allow rasterizing the heaviest pages as a last resort.', { default: true }),
+  },
+  response: {
+    ...SIZE_REPORT,
+    achievedTarget: spec.boolean('Whether the output is within 10% of the target.'),
+    attempts: spec.array(SIZE_ATTEMPT, 'Every candidate that was tried, in order.'),
+  },
+}, async (req, res) => {
   const inputPath = req.file.path;
-  const outputDir = path.resolve('compressed');
-  const timestamp = Date.now();
-
-  const sofficeCmd = `"C:\\Program Files\\LibreOffice\\program\\soffice.exe" --headless --convert-to docx --outdir "${outputDir}" "${inputPath}"`;
+  const targetSizeKB = parseInt(req.body.targetSize); // e.g., 100, 200, 500, 1000
+  const targetSizeBytes = targetSizeKB * 1024; // Convert KB to bytes
+  const allowGrayscale = req.body.allowGrayscale === 'true';
+  const allowRasterize = req.body.allowRasterize !== 'false';
+  const outputFilename = `compressed_to_${targetSizeKB}kb_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
 
-  exec(sofficeCmd, async (err, stdout, stderr) => {
-    fs.unlinkSync(inputPath); // cleanup
+  // Validate input
+  if (!targetSizeKB || targetSizeKB < 10 || targetSizeKB > 10000) {
+    fs.unlinkSync(inputPath);
+    return sendError(res, 'INVALID_INPUT', 'Target size must be between 10KB and 10MB.');
+  }
 
-    if (err) {
-      console.error('LibreOffice CLI Error:', stderr || err);
-      return res.status(500).send('PDF to Word conversion failed.');
+  runTool(req, res, {
+    tool: 'compress-pdf-to-size',
+    failMessage: 'PDF compression failed.',
+  }, async (job) => {
+    const originalSize = fs.statSync(inputPath).size;
+    if (originalSize < targetSizeBytes * (1 - SIZE_TOLERANCE)) {
+      fs.renameSync(inputPath, outputPath);
+      const downloadUrl = await publishOutput(outputPath, job);
+      return {
+        downloadUrl,
+        originalSize,
+        finalSize: originalSize,
+        compressionPercent: 0,
+        achievedTarget: true,
+        attempts: [],
+      };
     }
 
-    // Find the most recent .docx in the output folder
-    glob(`${outputDir}/*.docx`, (globErr, files) => {
-      if (globErr || !files.length) {
-        console.error('DOCX not found:', globErr);
-        return res.status(500).send('Conversion failed. Output file missing.');
+    const workDir = fs.mkdtempSync(path.join('compressed', 'to_size_'));
+    const fits = size => size <= targetSizeBytes * (1 + SIZE_TOLERANCE);
+    const onTarget = size => fits(size) && size >= targetSizeBytes * (1 - SIZE_TOLERANCE);
+    const plannedPasses = SIZE_SEARCH_ROUNDS * SIZE_SEARCH_PARALLEL * (allowGrayscale ? 2 : 1) +
+      (allowRasterize ? PAGE_RASTER_STEPS.length : 0);
+    const maxIterations = SIZE_SEARCH_ROUNDS * (allowGrayscale ? 2 : 1) +
+      (allowRasterize ? Math.ceil(PAGE_RASTER_STEPS.length / SIZE_SEARCH_PARALLEL) : 0);
+    const attempts = [];
+    let iteration = 0;
+    let best = null;
+
+    // Runs one batch of candidates side by side, records them and keeps only the best
+    // file seen so far. Each candidate is { settings, make(filePath) => extra report fields }.
+    // Progress keeps the iteration/dpi/lastSize fields of the one-pass-at-a-time search;
+    // an iteration is now one batch and `candidates` lists what it is trying.
+    const runCandidates = async (candidates) => {
+      iteration++;
+      reportProgress(job, {
+        stage: 'compress',
+        iteration,
+        maxIterations,
+        dpi: candidates[0].settings.dpi,
+        lastSize: attempts.length ? attempts[attempts.length - 1].size : null,
+        candidates: candidates.map(({ settings: { method, dpi, jpegQuality, grayscale } }) => ({ method, dpi, jpegQuality, grayscale })),
+        passesDone: attempts.length,
+        plannedPasses,
+        bestSize: best ? best.size : null,
+        targetSize: targetSizeBytes,
+        percent: attempts.length / plannedPasses * 100,
+      });
+
+      // Settled first so a failed candidate cannot get workDir removed under the others.
+      const settled = await Promise.allSettled(candidates.map(async ({ settings, make }, i) => {
+        const filePath = path.join(workDir, `pass_${attempts.length + i + 1}.pdf`);
+        const extra = await make(filePath);
+        if (!fs.existsSync(filePath)) throw new Error('Compression pass produced no output file.');
+        return { filePath, size: fs.statSync(filePath).size, ...settings, ...extra };
+      }));
+      const failed = settled.find(({ status }) => status === 'rejected');
+      if (failed) throw failed.reason;
+      const results = settled.map(({ value }) => value);
+
+      for (const { filePath, ...result } of results) {
+        attempts.push({ pass: attempts.length + 1, ...result, withinTarget: onTarget(result.size) });
+        log.info('Compress to size pass done', attempts[attempts.length - 1]);
+
+        const better = !best || (fits(result.size)
+          ? !fits(best.size) || result.size > best.size
+          : !fits(best.size) && result.size < best.size);
+        if (better) {
+          if (best) fs.unlinkSync(best.filePath);
+          best = { filePath, size: result.size, grayscale: result.grayscale };
+        } else {
+          fs.unlinkSync(filePath);
+        }
       }
+      return results;
+    };
+
+    const ghostscriptCandidate = (strength, grayscale) => {
+      const { dpi, jpegQuality } = strengthSettings(strength);
+      return {
+        settings: { method: 'ghostscript', dpi, jpegQuality, grayscale },
+        make: filePath => runCommand('gs', ghostscriptArgs(inputPath, filePath, { dpi, jpegQuality, grayscale, setting: '/ebook' }), job).then(() => ({})),
+      };
+    };
+
+    // Bisects strength; the first round includes full strength so a hopeless search
+    // stops after one round. Resolves true once a candidate lands on target.
+    const searchStrength = async (grayscale) => {
+      let low = 0;
+      let high = 1;
+      for (let round = 0; round < SIZE_SEARCH_ROUNDS; round++) {
+        const strengths = Array.from({ length: SIZE_SEARCH_PARALLEL }, (_, i) => round === 0
+          ? (i + 1) / SIZE_SEARCH_PARALLEL
+          : low + (high - low) * (i + 1) / (SIZE_SEARCH_PARALLEL + 1));
+        const results = await runCandidates(strengths.map(strength => ghostscriptCandidate(strength, grayscale)));
+        if (results.some(({ size }) => onTarget(size))) return true;
+
+        strengths.forEach((strength, i) => {
+          if (fits(results[i].size)) high = Math.min(high, strength);
+          else low = Math.max(low, strength);
+        });
+        if (low === 1) return false;
+      }
+      return false;
+    };
 
-      const latestFile = files
-        .map(f => ({ f, time: fs.statSync(f).mtime.getTime() }))
-        .sort((a, b) => b.time - a.time)[0].f;
+    try {
+      let done = await searchStrength(false);
+      if (!done && allowGrayscale && !fits(best.size)) done = await searchStrength(true);
+
+      if (!done && allowRasterize && !fits(best.size)) {
+        // Rasterize from a copy of the best Ghostscript result; `best` may move on.
+        const basePath = path.join(workDir, 'base.pdf');
+        fs.copyFileSync(best.filePath, basePath);
+        const { size: baseSize, grayscale } = best;
+        const weights = await pageWeights(basePath);
+
+        for (let i = 0; i < PAGE_RASTER_STEPS.length && !fits(best.size); i += SIZE_SEARCH_PARALLEL) {
+          await runCandidates(PAGE_RASTER_STEPS.slice(i, i + SIZE_SEARCH_PARALLEL).map(step => ({
+            settings: { method: 'rasterize-pages', ...step, grayscale },
+            make: async filePath => ({
+              pages: await rasterizeHeaviestPages(basePath, filePath, { ...step, grayscale, weights, excessBytes: baseSize - targetSizeBytes }, job),
+            }),
+          })));
+        }
+      }
 
-      const size = fs.statSync(latestFile).size;
+      fs.renameSync(best.filePath, outputPath);
+      fs.unlinkSync(inputPath);
 
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${path.basename(latestFile)}`,
-        size,
-      });
-    });
+      const finalSize = fs.statSync(outputPath).size;
+      const percent = Math.round((1 - finalSize / originalSize) * 100);
+
+      const downloadUrl = await publishOutput(outputPath, job);
+      return {
+        downloadUrl,
+        originalSize,
+        finalSize,
+        compressionPercent: percent,
+        achievedTarget: onTarget(finalSize),
+        attempts,
+      };
+    } catch (err) {
+      log.error('PDF compression to size failed', errorFields(err));
+      if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+      throw err;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
   });
 });
 
-/* ------------ PROTECT PDF WITH PASSWORD ------------ */
-app.post('/protect-pdf', upload.single('file'), (req, res) => {
-  const inputPath = req.file.path;
-  const password = req.body.password;
-  const outputFilename = `protected_${Date.now()}.pdf`;
-  const outputPath = path.join('compressed', outputFilename);
+// ... (rest of the app code, including app.listen)
 
-  if (!password) {
-    fs.unlinkSync(inputPath);
-    return res.status(400).send('Password is required.');
-  }
+// ... (rest of the app code, including app.listen)
 
-  const cmd = `qpdf --encrypt ${password} ${password} 256 -- "${inputPath}" "${outputPath}"`;
+/* ------------ COMPRESS PDF ------------ */
+// pdfwrite arguments shared by every Ghostscript pass: downsample all images to `dpi`
+// on top of the given PDFSETTINGS preset. `jpegQuality` (10-95) re-encodes colour and
+// gray images as JPEG at that quality; pdfwrite only takes it as a distiller QFactor,
+// which runs from 0.15 (best) to about 2.4 (worst). `grayscale` converts the whole page.
+function ghostscriptArgs(inputPath, outputPath, { dpi, setting, jpegQuality, grayscale }) {
+  const args = [
+    '-sDEVICE=pdfwrite', '-dCompatibilityLevel=1.4',
+    '-dDownsampleColorImages=true', `-dColorImageResolution=${dpi}`,
+    '-dDownsampleGrayImages=true', `-dGrayImageResolution=${dpi}`,
+    '-dDownsampleMonoImages=true', `-dMonoImageResolution=${dpi}`,
+    '-dCompressFonts=true', '-dEmbedAllFonts=true', '-dSubsetFonts=true',
+    '-dAutoRotatePages=/None', `-dPDFSETTINGS=${setting}`, '-dNOPAUSE', '-dQUIET', '-dBATCH',
+    `-sOutputFile=${outputPath}`,
+  ];
+  if (grayscale) args.push('-sColorConversionStrategy=Gray', '-dProcessColorModel=/DeviceGray');
+  if (!jpegQuality) return [...args, inputPath];
+
+  const qFactor = (0.15 * 16 ** ((95 - jpegQuality) / 85)).toFixed(2);
+  const dict = `<< /QFactor ${qFactor} /Blend 1 /HSamples [2 1 1 2] /VSamples [2 1 1 2] >>`;
+  return [
+    ...args,
+    '-dAutoFilterColorImages=false', '-sColorImageFilter=/DCTEncode',
+    '-dAutoFilterGrayImages=false', '-sGrayImageFilter=/DCTEncode',
+    '-c', `<< /ColorImageDict ${dict} /GrayImageDict ${dict} >> setdistillerparams`,
+    '-f', inputPath,
+  ];
+}
+
+// Core of /compress-pdf, shared with /pipeline. 90%+ rasterizes every page to a
+// low-resolution JPG ("extreme"); anything below maps onto a Ghostscript preset.
+function compressionMethod(compression) {
+  return compression >= 90 ? 'extreme' : 'standard';
+}
+
+async function compressPdf(inputPath, outputPath, { compression = 60 } = {}, job) {
+  if (compressionMethod(compression) === 'extreme') {
+    const outputDir = fs.mkdtempSync(path.join('compressed', 'temp_'));
 
-  exec(cmd, (err, stdout, stderr) => {
+    try {
+      const dpi = 50;
+      log.info('Rasterizing for extreme compression', { dpi });
+      await runCommand('pdftoppm', [inputPath, `${outputDir}/page`, '-jpeg', '-r', String(dpi)], job);
+
+      const imageFiles = fs.readdirSync(outputDir).filter(f => f.endsWith('.jpg')).sort();
+
+      if (imageFiles.length === 0) throw new Error('❌ No JPGs generated from PDF.');
+
+      const pdfDoc = await PDFDocument.create();
+
+      for (const filename of imageFiles) {
+        const imagePath = path.join(outputDir, filename);
+        const imageBytes = fs.readFileSync(imagePath);
+        const image = await pdfDoc.embedJpg(imageBytes);
+        const page = pdfDoc.addPage([image.width, image.height]);
+        page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+      }
+
+      fs.writeFileSync(outputPath, await pdfDoc.save());
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+    return 'extreme';
+  }
+
+  let setting = '/ebook';
+  if (compression >= 80) setting = '/screen';
+  else if (compression >= 60) setting = '/ebook';
+  else if (compression >= 40) setting = '/printer';
+  else setting = '/prepress';
+
+  log.info('Ghostscript compression', { compression, setting });
+  await runCommand('gs', ghostscriptArgs(inputPath, outputPath, { dpi: 72, setting }), job);
+  return 'standard';
+}
+
+toolRoute('/compress-pdf', {
+  files: PDF_UPLOAD,
+  tools: ['gs', 'poppler'],
+  summary: 'Compress a PDF with Ghostscript; 90 and above rasterizes every page.',
+  options: { compression: spec.integer('Compression strength.', { minimum: 1, maximum: 100, default: 60 }) },
+  response: { ...SIZE_REPORT, method: spec.oneOf(['standard', 'extreme'], 'How the PDF was compressed.') },
+}, async (req, res) => {
+  const compression = parseInt(req.body.compression) || 60;
+  const inputPath = req.file.path;
+  const originalSize = fs.statSync(inputPath).size;
+  const method = compressionMethod(compression);
+  const outputFilename = method === 'extreme' ? `extreme_${uniqueStamp()}.pdf` : `compressed_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  try {
+    await compressPdf(inputPath, outputPath, { compression });
+    fs.unlinkSync(inputPath);
+
+    const finalSize = fs.statSync(outputPath).size;
+    const percent = Math.round((1 - finalSize / originalSize) * 100);
+
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({
+      downloadUrl,
+      originalSize,
+      finalSize,
+      compressionPercent: percent,
+      method
+    });
+  } catch (err) {
+    log.error(method === 'extreme' ? 'Extreme compression failed' : 'Ghostscript compression failed', errorFields(err));
+    if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    sendFailure(res, err, method === 'extreme' ? 'Extreme compression failed.' : 'PDF compression failed.');
+  }
+});
+
+
+
+
+
+
+
+
+/* ------------ CONVERT TO PDF ------------ */
+toolRoute('/convert-to-pdf', {
+  files: DOCUMENT_UPLOAD,
+  maxFileSize: 50 * MB,
+  tools: ['soffice'],
+  async: true,
+  summary: 'Convert an Office, OpenDocument, RTF or text document to PDF.',
+  response: OUTPUT_FILE,
+}, (req, res) => {
+  const inputPath = req.file.path;
+  const outputFilename = `${path.basename(req.file.originalname, path.extname(req.file.originalname))}_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  runTool(req, res, { tool: 'convert-to-pdf', failMessage: 'File conversion failed.' }, async (job) => {
+    let converted;
+    try {
+      converted = await sofficeConvert(inputPath, 'pdf', job);
+      fs.copyFileSync(converted.filePath, outputPath);
+    } finally {
+      fs.unlinkSync(inputPath);
+      if (converted) fs.rmSync(converted.workDir, { recursive: true, force: true });
+    }
+
+    const convertedSize = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath, job);
+    return {
+      downloadUrl,
+      size: convertedSize
+    };
+  });
+});
+
+/* ------------ IMAGE TOOLS (COMPRESS / RESIZE / CONVERT) ------------ */
+// All three routes take one image as `file` or many as `files`. A single image
+// comes back as-is; several come back as one ZIP with per-file sizes in the JSON.
+// Metadata (EXIF, GPS, ...) is stripped unless `keepMetadata=true`; orientation is
+// applied to the pixels first so stripped photos still display the right way up.
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'tiff', 'gif'];
+const IMAGE_EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp', avif: '.avif', tiff: '.tiff', gif: '.gif' };
+const ANIMATED_FORMATS = ['gif', 'webp'];
+const IMAGE_UPLOADS = {
+  file: { accept: 'image', required: false },
+  files: { accept: 'image', max: 50, required: false },
+};
+const IMAGE_ROUTE = { files: IMAGE_UPLOADS, maxFileSize: 50 * MB };
+const KEEP_METADATA_OPTION = spec.boolean('Keep EXIF and other metadata.', { default: false });
+const IMAGE_RESPONSE = {
+  ...SIZE_REPORT,
+  files: spec.array(spec.object({
+    name: spec.string('File name inside the ZIP.'),
+    originalSize: spec.integer('Input size in bytes.'),
+    finalSize: spec.integer('Output size in bytes.'),
+    compressionPercent: spec.integer('How much smaller the output is, in percent.'),
+  }), 'Per-image report when several images were sent (the download is a ZIP).'),
+};
+
+function uploadedFiles(req) {
+  return [...(req.files?.file || []), ...(req.files?.files || [])];
+}
+
+function normalizeImageFormat(format) {
+  const value = String(format || '').toLowerCase().replace(/^\./, '');
+  if (value === 'jpg') return 'jpeg';
+  if (value === 'tif') return 'tiff';
+  if (value === 'heif') return 'avif';
+  return value;
+}
+
+function loadImage(inputPath, { format, keepMetadata = false } = {}) {
+  let image = sharp(inputPath, { animated: ANIMATED_FORMATS.includes(format) }).rotate();
+  if (keepMetadata) image = image.keepMetadata();
+  return image;
+}
+
+function encodeImage(image, format, quality = 80) {
+  switch (format) {
+    case 'jpeg': return image.jpeg({ quality, mozjpeg: true });
+    case 'png': return image.png({ quality, compressionLevel: 9, palette: quality < 100 });
+    case 'webp': return image.webp({ quality });
+    case 'avif': return image.avif({ quality });
+    case 'tiff': return image.tiff({ quality, compression: quality < 100 ? 'jpeg' : 'lzw' });
+    case 'gif': return image.gif({ colours: Math.max(2, Math.round(quality / 100 * 256)) });
+    default: throw new Error(`Unsupported output format: ${format}`);
+  }
+}
+
+// Same idea as /compress-pdf-to-size, with JPEG/WebP/... quality as the knob:
+// bisect until the result lands within 90-100% of the target, keeping the best
+// attempt under the target (or the smallest one when nothing fits).
+async function encodeImageToSize(makeImage, format, targetBytes) {
+  const maxIterations = 7;
+  let low = 5;
+  let high = 95;
+  let best = null;
+  let smallest = null;
+
+  for (let iteration = 0; iteration < maxIterations && low <= high; iteration++) {
+    const quality = Math.round((low + high) / 2);
+    const buffer = await encodeImage(makeImage(), format, quality).toBuffer();
+    log.debug('Image size iteration', { iteration: iteration + 1, quality, size: buffer.length });
+
+    if (!smallest || buffer.length < smallest.buffer.length) smallest = { buffer, quality };
+
+    if (buffer.length <= targetBytes) {
+      if (!best || buffer.length > best.buffer.length) best = { buffer, quality };
+      if (buffer.length >= targetBytes * 0.9) break;
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+
+  return best ? { ...best, achievedTarget: true } : { ...smallest, achievedTarget: false };
+}
+
+// Shared driver for the image routes: checks every upload is an image sharp can
+// read, runs `processOne` on each, then publishes one image or one ZIP.
+async function runImageTool(req, res, { prefix, failMessage }, processOne) {
+  const files = uploadedFiles(req);
+  const cleanup = () => files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+
+  const sources = [];
+  for (const file of files) {
+    try {
+      const { format } = await sharp(file.path).metadata();
+      sources.push({ file, format: normalizeImageFormat(format) });
+    } catch {
+      cleanup();
+      return sendError(res, 'UNSUPPORTED_FORMAT', `${file.originalname} is not a supported image.`);
+    }
+  }
+
+  try {
+    const results = [];
+    const usedNames = new Set();
+
+    for (const { file, format } of sources) {
+      const { buffer, format: outputFormat, ...details } = await processOne(file.path, format);
+      const base = path.basename(file.originalname, path.extname(file.originalname));
+      let name = base + IMAGE_EXTENSIONS[outputFormat];
+      for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}${IMAGE_EXTENSIONS[outputFormat]}`;
+      usedNames.add(name);
+
+      const originalSize = file.size;
+      results.push({
+        name,
+        buffer,
+        originalSize,
+        finalSize: buffer.length,
+        compressionPercent: Math.round((1 - buffer.length / originalSize) * 100),
+        ...details,
+      });
+    }
+
+    const originalSize = results.reduce((total, r) => total + r.originalSize, 0);
+    let outputPath;
+
+    if (results.length === 1) {
+      outputPath = path.join('compressed', `${prefix}_${uniqueStamp()}${path.extname(results[0].name)}`);
+      fs.writeFileSync(outputPath, results[0].buffer);
+    } else {
+      outputPath = path.join('compressed', `${prefix}_${uniqueStamp()}.zip`);
+      await writeZip(outputPath, archive => {
+        results.forEach(({ name, buffer }) => archive.append(buffer, { name }));
+      });
+    }
+
+    const finalSize = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath);
+    const report = results.map(({ buffer, ...rest }) => rest);
+
+    res.json(results.length === 1
+      ? { downloadUrl, ...report[0], name: undefined, finalSize }
+      : {
+        downloadUrl,
+        originalSize,
+        finalSize,
+        files: report,
+      });
+  } catch (err) {
+    log.error(`${prefix} failed`, errorFields(err));
+    sendFailure(res, err, failMessage);
+  } finally {
+    cleanup();
+  }
+}
+
+toolRoute('/compress-image', {
+  ...IMAGE_ROUTE,
+  summary: 'Compress one or more images.',
+  options: {
+    quality: spec.integer('Encoder quality.', { minimum: 1, maximum: 100, default: 75 }),
+    targetSize: spec.integer('Target size per image in KB; overrides quality.', { minimum: 5, maximum: 50000 }),
+    keepMetadata: KEEP_METADATA_OPTION,
+  },
+  response: {
+    ...IMAGE_RESPONSE,
+    quality: spec.integer('Quality used (single image).'),
+    achievedTarget: spec.boolean('Whether targetSize was reached (single image).'),
+  },
+}, async (req, res) => {
+  const quality = req.body.quality ? Number(req.body.quality) : 75;
+  const targetSizeKB = parseInt(req.body.targetSize);
+  const keepMetadata = req.body.keepMetadata === 'true';
+
+  if (!(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    uploadedFiles(req).forEach(file => fs.unlinkSync(file.path));
+    return sendError(res, 'INVALID_INPUT', 'Quality must be between 1 and 100.');
+  }
+  if (req.body.targetSize && (!targetSizeKB || targetSizeKB < 5 || targetSizeKB > 50000)) {
+    uploadedFiles(req).forEach(file => fs.unlinkSync(file.path));
+    return sendError(res, 'INVALID_INPUT', 'Target size must be between 5KB and 50MB.');
+  }
+
+  await runImageTool(req, res, { prefix: 'compressed_image', failMessage: 'Image compression failed.' }, async (inputPath, sourceFormat) => {
+    const format = IMAGE_FORMATS.includes(sourceFormat) ? sourceFormat : 'jpeg';
+    const makeImage = () => loadImage(inputPath, { format, keepMetadata });
+
+    if (!targetSizeKB) {
+      const buffer = await encodeImage(makeImage(), format, quality).toBuffer();
+      return { buffer, format, quality };
+    }
+
+    const targetBytes = targetSizeKB * 1024;
+    const originalBuffer = fs.readFileSync(inputPath);
+    if (originalBuffer.length <= targetBytes && format === sourceFormat) {
+      return { buffer: originalBuffer, format, achievedTarget: true };
+    }
+
+    const { buffer, quality: usedQuality, achievedTarget } = await encodeImageToSize(makeImage, format, targetBytes);
+    return { buffer, format, quality: usedQuality, achievedTarget };
+  });
+});
+
+toolRoute('/resize-image', {
+  ...IMAGE_ROUTE,
+  summary: 'Resize one or more images.',
+  options: {
+    width: spec.integer('Width in pixels.', { minimum: 1, maximum: 10000 }),
+    height: spec.integer('Height in pixels.', { minimum: 1, maximum: 10000 }),
+    fit: spec.oneOf(['cover', 'contain', 'fill', 'inside', 'outside'], 'How the image fits the box.', { default: 'inside' }),
+    dpi: spec.integer('Resolution to record in the file.', { minimum: 1, maximum: 2400 }),
+    allowEnlarge: spec.boolean('Allow scaling up.', { default: false }),
+    background: spec.string('Padding colour for fit=contain, as hex (#rrggbb).', { default: '#ffffff' }),
+    keepMetadata: KEEP_METADATA_OPTION,
+  },
+  response: {
+    ...IMAGE_RESPONSE,
+    width: spec.integer('Output width (single image).'),
+    height: spec.integer('Output height (single image).'),
+  },
+}, async (req, res) => {
+  const width = parseInt(req.body.width) || null;
+  const height = parseInt(req.body.height) || null;
+  const fit = req.body.fit || 'inside';
+  const dpi = parseInt(req.body.dpi) || null;
+  const keepMetadata = req.body.keepMetadata === 'true';
+  const withoutEnlargement = req.body.allowEnlarge !== 'true';
+  const background = String(req.body.background || '#ffffff');
+  const fits = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+  let error = null;
+  if (!width && !height) error = 'Provide a width, a height, or both.';
+  else if ((width && (width < 1 || width > 10000)) || (height && (height < 1 || height > 10000))) error = 'Width and height must be between 1 and 10000 pixels.';
+  else if (!fits.includes(fit)) error = `Fit must be one of: ${fits.join(', ')}.`;
+  else if (dpi && (dpi < 1 || dpi > 2400)) error = 'DPI must be between 1 and 2400.';
+  else if (!HEX_COLOR.test(background)) error = 'Background must be a hex colour such as #ffffff.';
+  if (error) {
+    uploadedFiles(req).forEach(file => fs.unlinkSync(file.path));
+    return sendError(res, 'INVALID_INPUT', error);
+  }
+
+  await runImageTool(req, res, { prefix: 'resized', failMessage: 'Image resize failed.' }, async (inputPath, sourceFormat) => {
+    const format = IMAGE_FORMATS.includes(sourceFormat) ? sourceFormat : 'png';
+    let image = loadImage(inputPath, { format, keepMetadata })
+      .resize({ width, height, fit, withoutEnlargement, background: `#${background.match(HEX_COLOR)[1]}` });
+
+    // withMetadata() is the only way to write a density; withExif({}) drops the EXIF it copies along.
+    if (dpi) {
+      image = image.withMetadata({ density: dpi });
+      if (!keepMetadata) image = image.withExif({});
+    }
+
+    const buffer = await encodeImage(image, format, 90).toBuffer();
+    const { width: finalWidth, height: finalHeight } = await sharp(buffer).metadata();
+    return { buffer, format, width: finalWidth, height: finalHeight, dpi: dpi || undefined };
+  });
+});
+
+toolRoute('/convert-image', {
+  ...IMAGE_ROUTE,
+  summary: 'Convert one or more images to another format.',
+  options: {
+    format: spec.oneOf(IMAGE_FORMATS, 'Output format.'),
+    quality: spec.integer('Encoder quality.', { minimum: 1, maximum: 100 }),
+    keepMetadata: KEEP_METADATA_OPTION,
+  },
+  response: IMAGE_RESPONSE,
+}, async (req, res) => {
+  const format = normalizeImageFormat(req.body.format);
+  const quality = req.body.quality ? Number(req.body.quality) : 90;
+  const keepMetadata = req.body.keepMetadata === 'true';
+
+  if (!IMAGE_FORMATS.includes(format)) {
+    uploadedFiles(req).forEach(file => fs.unlinkSync(file.path));
+    return sendError(res, 'INVALID_INPUT', `Format must be one of: ${IMAGE_FORMATS.join(', ')}.`);
+  }
+  if (!(Number.isInteger(quality) && quality >= 1 && quality <= 100)) {
+    uploadedFiles(req).forEach(file => fs.unlinkSync(file.path));
+    return sendError(res, 'INVALID_INPUT', 'Quality must be between 1 and 100.');
+  }
+
+  await runImageTool(req, res, { prefix: 'converted_image', failMessage: 'Image conversion failed.' }, async (inputPath, sourceFormat) => {
+    const animated = ANIMATED_FORMATS.includes(sourceFormat) && ANIMATED_FORMATS.includes(format);
+    const image = loadImage(inputPath, { format: animated ? format : null, keepMetadata });
+    const buffer = await encodeImage(image, format, quality).toBuffer();
+    return { buffer, format };
+  });
+});
+
+
+/* ------------ IMAGE TO PDF ------------ */
+// Takes `file` or `files` (JPEG, PNG, WebP, TIFF incl. multi-page, GIF, BMP, HEIC/HEIF)
+// and puts one image per page, in upload order or the order given as `order`
+// (JSON list of upload indexes, e.g. [2, 0, 1]).
+//   pageSize:    fit (page = image size, the default) | A4 | Letter | Legal
+//   orientation: portrait | landscape | auto (follows each image)
+//   margin:      points around the image
+//   placement:   fit (whole image, aspect kept) | fill (covers the page, cropped)
+//                | center (actual size, shrunk only when it does not fit)
+// JPEG and PNG are embedded as uploaded; everything else goes through sharp first.
+const PAGE_SIZES = { a4: [595.28, 841.89], letter: [612, 792], legal: [612, 1008] };
+const IMAGE_PLACEMENTS = ['fit', 'fill', 'center'];
+const IMAGE_ORIENTATIONS = ['portrait', 'landscape', 'auto'];
+
+// libvips in the sharp prebuilds has no BMP loader, so uncompressed BMPs
+// (1/4/8-bit palette, 24-bit, 32-bit BI_RGB/BI_BITFIELDS) are decoded here.
+// BMP_PIXEL_LIMIT matches sharp's default limitInputPixels.
+const BMP_PIXEL_LIMIT = 0x3FFF * 0x3FFF;
+
+function decodeBmp(buffer) {
+  if (buffer.length < 54) throw invalidInput('The BMP image is truncated.');
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const width = buffer.readInt32LE(18);
+  const rawHeight = buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(28);
+  const compression = buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+
+  if (![0, 3].includes(compression) || ![1, 4, 8, 24, 32].includes(bitsPerPixel)) {
+    throw new Error('Unsupported BMP encoding.');
+  }
+
+  const paletteOffset = 14 + headerSize;
+  const rowSize = Math.ceil(width * bitsPerPixel / 32) * 4;
+  // Checked before allocating: the header alone can claim any size.
+  if (width < 1 || height < 1 || width * height > BMP_PIXEL_LIMIT) {
+    throw invalidInput('The BMP image is too large.');
+  }
+  if (dataOffset + rowSize * height > buffer.length) throw invalidInput('The BMP image is truncated.');
+  const pixels = Buffer.alloc(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+    for (let x = 0; x < width; x++) {
+      let b, g, r;
+      if (bitsPerPixel >= 24) {
+        const offset = row + x * (bitsPerPixel / 8);
+        [b, g, r] = [buffer[offset], buffer[offset + 1], buffer[offset + 2]];
+      } else {
+        const bit = x * bitsPerPixel;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        const entry = paletteOffset + index * 4;
+        [b, g, r] = [buffer[entry], buffer[entry + 1], buffer[entry + 2]];
+      }
+      pixels.set([r, g, b], (y * width + x) * 3);
+    }
+  }
+
+  return { data: pixels, width, height, channels: 3 };
+}
+
+// Returns the embeddable images for one upload: [{ bytes, type: 'jpg' | 'png' }],
+// more than one for multi-page TIFFs.
+async function loadImagesForPdf(inputPath) {
+  const buffer = fs.readFileSync(inputPath);
+  const type = sniffFileType(inputPath);
+
+  const encode = async image => {
+    const { hasAlpha } = await image.metadata();
+    return hasAlpha
+      ? { bytes: await image.png().toBuffer(), type: 'png' }
+      : { bytes: await image.jpeg({ quality: 90 }).toBuffer(), type: 'jpg' };
+  };
+
+  if (type === 'jpeg' || type === 'png') {
+    const { orientation } = await sharp(buffer).metadata();
+    // Copied because pdf-lib's JPEG parser ignores the byteOffset of pooled Buffers.
+    if (!orientation || orientation === 1) return [{ bytes: new Uint8Array(buffer), type: type === 'jpeg' ? 'jpg' : 'png' }];
+    return [await encode(sharp(await sharp(buffer).rotate().toBuffer()))];
+  }
+
+  if (type === 'bmp' || type === 'heic') {
+    const raw = type === 'bmp'
+      ? decodeBmp(buffer)
+      : { ...(await heicDecode({ buffer })), channels: 4 };
+    const { data, width, height, channels } = raw;
+    return [await encode(sharp(Buffer.from(data), { raw: { width, height, channels } }))];
+  }
+
+  // Only TIFF pages are separate images; GIF and WebP "pages" are animation frames
+  // and just the first one is used.
+  const { pages = 1 } = type === 'tiff' ? await sharp(buffer).metadata() : {};
+  const images = [];
+  for (let page = 0; page < pages; page++) {
+    images.push(await encode(sharp(await sharp(buffer, { page }).rotate().toBuffer())));
+  }
+  return images;
+}
+
+function layoutImagePage(image, { pageSize, orientation, margin, placement }) {
+  if (pageSize === 'fit') {
+    return {
+      pageWidth: image.width + margin * 2,
+      pageHeight: image.height + margin * 2,
+      box: { x: margin, y: margin, width: image.width, height: image.height },
+      draw: { x: margin, y: margin, width: image.width, height: image.height },
+    };
+  }
+
+  const [short, long] = PAGE_SIZES[pageSize];
+  const landscape = orientation === 'landscape' || (orientation === 'auto' && image.width > image.height);
+  const [pageWidth, pageHeight] = landscape ? [long, short] : [short, long];
+  const box = { x: margin, y: margin, width: pageWidth - margin * 2, height: pageHeight - margin * 2 };
+
+  const fitScale = Math.min(box.width / image.width, box.height / image.height);
+  const scale = placement === 'fill'
+    ? Math.max(box.width / image.width, box.height / image.height)
+    : placement === 'center' ? Math.min(1, fitScale) : fitScale;
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  return {
+    pageWidth,
+    pageHeight,
+    box,
+    draw: { x: box.x + (box.width - width) / 2, y: box.y + (box.height - height) / 2, width, height },
+  };
+}
+
+toolRoute('/image-to-pdf', {
+  ...IMAGE_ROUTE,
+  summary: 'Combine images into a PDF, one image per page.',
+  options: {
+    order: spec.json('Upload indexes in page order, e.g. [2, 0, 1] (default: upload order).'),
+    pageSize: spec.oneOf(['fit', 'A4', 'Letter', 'Legal'], 'Page size; fit makes each page the size of its image.', { default: 'fit' }),
+    orientation: spec.oneOf(IMAGE_ORIENTATIONS, 'Page orientation.', { default: 'auto' }),
+    margin: spec.number('Margin in points.', { minimum: 0, default: 0 }),
+    placement: spec.oneOf(IMAGE_PLACEMENTS, 'How the image sits on the page.', { default: 'fit' }),
+  },
+  response: { ...OUTPUT_FILE, pages: spec.integer('Number of pages.') },
+}, async (req, res) => {
+  const files = uploadedFiles(req);
+  const outputFilename = `converted_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  const pageSize = String(req.body.pageSize || 'fit').toLowerCase();
+  const orientation = req.body.orientation || 'auto';
+  const placement = req.body.placement || 'fit';
+  const margin = Math.max(0, parseFloat(req.body.margin) || 0);
+
+  try {
+    let order;
+    try {
+      if (pageSize !== 'fit' && !PAGE_SIZES[pageSize]) throw new Error('Page size must be one of: fit, A4, Letter, Legal.');
+      if (!IMAGE_ORIENTATIONS.includes(orientation)) throw new Error(`Orientation must be one of: ${IMAGE_ORIENTATIONS.join(', ')}.`);
+      if (!IMAGE_PLACEMENTS.includes(placement)) throw new Error(`Placement must be one of: ${IMAGE_PLACEMENTS.join(', ')}.`);
+      if (pageSize !== 'fit' && margin * 2 >= PAGE_SIZES[pageSize][0]) throw new Error('Margin is larger than the page.');
+
+      order = req.body.order ? JSON.parse(req.body.order) : files.map((_, index) => index);
+      if (!Array.isArray(order) || order.length === 0 || !order.every(i => Number.isInteger(i) && i >= 0 && i < files.length)) {
+        throw new Error(`Order must be a JSON list of upload indexes between 0 and ${files.length - 1}.`);
+      }
+    } catch (err) {
+      return sendError(res, 'INVALID_INPUT', err instanceof SyntaxError ? 'Order must be valid JSON.' : err.message);
+    }
+
+    const loaded = [];
+    for (const file of files) {
+      try {
+        loaded.push(await loadImagesForPdf(file.path));
+      } catch (err) {
+        if (err.status) return sendFailure(res, err);
+        return sendError(res, 'UNSUPPORTED_FORMAT', `${file.originalname} is not a supported image.`);
+      }
+    }
+
+    const pdfDoc = await PDFDocument.create();
+
+    for (const index of order) {
+      for (const { bytes, type } of loaded[index]) {
+        const image = type === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+        const { pageWidth, pageHeight, box, draw } = layoutImagePage(image, { pageSize, orientation, margin, placement });
+        const page = pdfDoc.addPage([pageWidth, pageHeight]);
+
+        if (placement === 'fill' && pageSize !== 'fit') {
+          page.pushOperators(pushGraphicsState(), rectangle(box.x, box.y, box.width, box.height), clip(), endPath());
+          page.drawImage(image, draw);
+          page.pushOperators(popGraphicsState());
+        } else {
+          page.drawImage(image, draw);
+        }
+      }
+    }
+
+    const pdfBytes = await pdfDoc.save();
+    fs.writeFileSync(outputPath, pdfBytes);
+
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({
+      downloadUrl,
+      size: pdfBytes.length,
+      pages: pdfDoc.getPageCount()
+    });
+  } catch (err) {
+    log.error('Image to PDF failed', errorFields(err));
+    sendFailure(res, err, 'Image to PDF conversion failed.');
+  } finally {
+    files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+  }
+});
+
+
+/* ------------ MAKE PDF SEARCHABLE ------------ */
+// Options (all optional):
+//   language: tesseract language codes joined with "+", e.g. "eng+deu" (default eng);
+//             GET /make-searchable/languages lists the packs installed on this server
+//   mode:     skip (OCR only pages without text, the default) | redo (replace an
+//             existing OCR layer) | force (rasterize and OCR every page)
+//   deskew, rotate, clean: "true" to straighten, auto-rotate or despeckle pages before OCR
+//   text:     txt (also publish the recognized text) | json (return it per page)
+const OCR_MODES = { skip: '--skip-text', redo: '--redo-ocr', force: '--force-ocr' };
+const OCR_TEXT_OUTPUTS = ['txt', 'json'];
+
+let ocrLanguages;
+async function installedOcrLanguages() {
+  if (!ocrLanguages) {
+    // First line is "List of available languages in ...", osd is orientation data, not a language.
+    const { stdout } = await runCommand('tesseract', ['--list-langs']);
+    ocrLanguages = stdout.split('\n').slice(1).map(line => line.trim()).filter(lang => lang && lang !== 'osd');
+  }
+  return ocrLanguages;
+}
+
+async function parseOcrOptions(body) {
+  const flag = name => body[name] === 'true' || body[name] === true;
+  const options = {
+    languages: String(body.language || 'eng').split(/[+,\s]+/).filter(Boolean),
+    mode: body.mode || 'skip',
+    deskew: flag('deskew'),
+    rotate: flag('rotate'),
+    clean: flag('clean'),
+    text: body.text || null,
+  };
+
+  if (!OCR_MODES[options.mode]) throw invalidInput(`Mode must be one of: ${Object.keys(OCR_MODES).join(', ')}.`);
+  if (options.text && !OCR_TEXT_OUTPUTS.includes(options.text)) {
+    throw invalidInput(`Text must be one of: ${OCR_TEXT_OUTPUTS.join(', ')}.`);
+  }
+  // ocrmypdf keeps the page images untouched when redoing OCR, so it refuses to deskew them.
+  if (options.mode === 'redo' && options.deskew) throw invalidInput('Deskew cannot be combined with redo mode.');
+
+  const installed = await installedOcrLanguages();
+  const missing = options.languages.filter(lang => !installed.includes(lang));
+  if (missing.length) {
+    throw invalidInput(`Language not installed: ${missing.join(', ')}. Available: ${installed.join(', ')}.`);
+  }
+
+  return options;
+}
+
+async function ocrPdf(inputPath, outputPath, options, job) {
+  const args = [
+    OCR_MODES[options.mode],
+    '-l', options.languages.join('+'),
+    ...(options.deskew ? ['--deskew'] : []),
+    ...(options.rotate ? ['--rotate-pages'] : []),
+    ...(options.clean ? ['--clean'] : []),
+    ...(options.text ? ['--sidecar', `${outputPath}.txt`] : []),
+  ];
+
+  // At -v 1 ocrmypdf prefixes its per-page log lines with the page number, so the
+  // distinct numbers seen count the pages it has reached (it works on several at once).
+  const pages = job && await pdfPageCount(inputPath).catch(() => null);
+  const seen = new Set();
+  const onStderr = pages && (text => {
+    const before = seen.size;
+    for (const [, page] of text.matchAll(/^\s*(\d+) /gm)) {
+      if (page >= 1 && page <= pages) seen.add(page);
+    }
+    if (seen.size > before) reportProgress(job, { stage: 'ocr', pagesDone: seen.size, pages, percent: seen.size / pages * 100 });
+  });
+
+  await runCommand('ocrmypdf', [...args, ...(onStderr ? ['-v', '1'] : []), '--output-type', 'pdf', inputPath, outputPath], job, { onStderr });
+}
+
+app.get('/make-searchable/languages', async (req, res) => {
+  try {
+    res.json({ languages: await installedOcrLanguages() });
+  } catch (err) {
+    log.error('Tesseract failed', errorFields(err));
+    sendFailure(res, err, 'Could not list OCR languages.');
+  }
+});
+
+toolRoute('/make-searchable', {
+  files: PDF_UPLOAD,
+  maxPages: MAX_RASTER_PAGES,
+  tools: ['ocrmypdf'],
+  async: true,
+  summary: 'Add a text layer to a scanned PDF with OCR.',
+  options: {
+    language: spec.string('OCR languages joined with "+", see GET /make-searchable/languages.', { default: 'eng' }),
+    mode: spec.oneOf(Object.keys(OCR_MODES), 'What to do with pages that already have text.', { default: 'skip' }),
+    deskew: spec.boolean('Straighten crooked scans (not with mode=redo).', { default: false }),
+    rotate: spec.boolean('Turn pages the right way up.', { default: false }),
+    clean: spec.boolean('Clean up scan noise before OCR.', { default: false }),
+    text: spec.oneOf(OCR_TEXT_OUTPUTS, 'Also return the recognised text, as a file (txt) or per page (json).'),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    languages: spec.array(spec.string('Language code.'), 'Languages used.'),
+    mode: spec.string('Mode used.'),
+    textUrl: spec.string('Download link for the text (text=txt).', { format: 'uri' }),
+    pages: spec.array(spec.object({ page: spec.integer('Page number.'), text: spec.string('Recognised text.') }), 'Text per page (text=json).'),
+  },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+
+  const outputFilename = `searchable_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+  const sidecarPath = `${outputPath}.txt`;
+
+  let options;
+  try {
+    options = await parseOcrOptions(req.body);
+  } catch (err) {
+    fs.unlinkSync(inputPath);
+    if (err.status === 400) return sendFailure(res, err);
+    log.error('Tesseract failed', errorFields(err));
+    return sendFailure(res, err, 'Making searchable PDF failed.');
+  }
+
+  runTool(req, res, { tool: 'make-searchable', failMessage: 'Making searchable PDF failed.' }, async (job) => {
+    try {
+      await ocrPdf(inputPath, outputPath, options, job);
+    } catch (err) {
+      [outputPath, sidecarPath].forEach(file => fs.existsSync(file) && fs.unlinkSync(file));
+      throw err;
+    } finally {
+      fs.unlinkSync(inputPath);
+    }
+
+    const newSize = fs.statSync(outputPath).size;
+    const result = {
+      downloadUrl: await publishOutput(outputPath, job),
+      size: newSize,
+      languages: options.languages,
+      mode: options.mode,
+    };
+
+    if (options.text === 'txt') {
+      result.textUrl = await publishOutput(sidecarPath, job);
+    } else if (options.text === 'json') {
+      // tesseract ends every page with a form feed.
+      const text = fs.readFileSync(sidecarPath, 'utf8').replace(/\f$/, '');
+      result.pages = text.split('\f').map((pageText, index) => ({ page: index + 1, text: pageText.trim() }));
+      fs.unlinkSync(sidecarPath);
+    }
+
+    return result;
+  });
+});
+
+
+
+/* ------------ MERGE PDF ------------ */
+async function mergePdfs(inputPaths, outputPath) {
+  const mergedPdf = await PDFDocument.create();
+
+  for (const inputPath of inputPaths) {
+    const pdf = await PDFDocument.load(fs.readFileSync(inputPath));
+    const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
+    copiedPages.forEach(page => mergedPdf.addPage(page));
+  }
+
+  fs.writeFileSync(outputPath, await mergedPdf.save());
+}
+
+toolRoute('/merge-pdf', {
+  files: { files: { accept: 'pdf', max: MAX_PDF_FILES } },
+  minFiles: 2,
+  summary: 'Merge PDFs in upload order.',
+  response: { downloadUrl: OUTPUT_FILE.downloadUrl },
+}, async (req, res) => {
+  const files = req.files;
+  const outputFilename = `merged_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  try {
+    await mergePdfs(files.map(file => file.path), outputPath);
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({ downloadUrl });
+
+  } catch (error) {
+    log.error('Merge failed', errorFields(error));
+    sendFailure(res, error, 'PDF merge failed.');
+  } finally {
+    files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path)); // clean up
+  }
+});
+
+/* ------------ PDF EXPORT (WORD / EXCEL / POWERPOINT / TEXT / HTML) ------------ */
+// Every request converts inside its own temp folder, so the result is always the
+// file produced for this upload, never a neighbour's.
+//   docx, odt  LibreOffice Writer PDF import
+//   pptx       LibreOffice Impress PDF import (one slide per page)
+//   xlsx       pdftotext -layout, columns split on runs of 2+ spaces, CSV -> Calc
+//   txt        pdftotext (layout=false for plain reading order)
+//   html       pdftohtml, single file with images inlined as data URLs
+const PDF_EXPORT_FORMATS = ['docx', 'xlsx', 'pptx', 'odt', 'txt', 'html'];
+
+function layoutTextToCsv(text) {
+  const csvCell = cell => /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  return text
+    .split('\f')
+    .map(page => page
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => line.trim().split(/\s{2,}/).map(csvCell).join(','))
+      .join('\n'))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+async function exportPdf(inputPath, format, workDir, { layout = true } = {}, job) {
+  const absoluteInput = path.resolve(inputPath);
+
+  if (format === 'docx' || format === 'odt' || format === 'pptx') {
+    const filter = format === 'docx' ? 'docx:MS Word 2007 XML' : format;
+    const converted = await sofficeConvert(absoluteInput, filter, job, {
+      workDir,
+      infilter: format === 'pptx' ? 'impress_pdf_import' : 'writer_pdf_import',
+    });
+    return converted.filePath;
+  }
+
+  if (format === 'txt') {
+    const outputPath = path.join(workDir, 'export.txt');
+    await runCommand('pdftotext', [...(layout ? ['-layout'] : []), '-enc', 'UTF-8', absoluteInput, outputPath], job);
+    return outputPath;
+  }
+
+  if (format === 'html') {
+    await runCommand('pdftohtml', ['-s', '-noframes', '-dataurls', '-enc', 'UTF-8', '-q', absoluteInput, path.join(workDir, 'export')], job);
+    return path.join(workDir, 'export.html');
+  }
+
+  // xlsx
+  const textPath = path.join(workDir, 'export.txt');
+  const csvPath = path.join(workDir, 'export.csv');
+  await runCommand('pdftotext', ['-layout', '-enc', 'UTF-8', absoluteInput, textPath], job);
+  fs.writeFileSync(csvPath, layoutTextToCsv(fs.readFileSync(textPath, 'utf8')));
+  // CSV filter options: comma separator, double-quote text delimiter, UTF-8, start at row 1
+  const converted = await sofficeConvert(csvPath, 'xlsx', job, { workDir, infilter: 'CSV:44,34,76,1' });
+  return converted.filePath;
+}
+
+// /pdf-to-word is the original DOCX-only route; /pdf-export takes a `format`.
+function pdfExportRoute(fixedFormat) {
+  return (req, res) => {
+    const inputPath = req.file.path;
+    const format = String(fixedFormat || req.body.format || 'docx').toLowerCase();
+
+    if (!PDF_EXPORT_FORMATS.includes(format)) {
+      fs.unlinkSync(inputPath);
+      return sendError(res, 'INVALID_INPUT', `Format must be one of: ${PDF_EXPORT_FORMATS.join(', ')}.`);
+    }
+
+    const base = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    const outputPath = path.join('compressed', `${base}_${uniqueStamp()}.${format}`);
+
+    runTool(req, res, { tool: 'pdf-export', failMessage: `PDF to ${format.toUpperCase()} conversion failed.` }, async (job) => {
+      const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export_'));
+      try {
+        const exported = await exportPdf(inputPath, format, workDir, { layout: req.body.layout !== 'false' }, job);
+        if (!fs.existsSync(exported)) throw new Error('Conversion failed. Output file missing.');
+        fs.copyFileSync(exported, outputPath);
+      } finally {
+        fs.unlinkSync(inputPath);
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+
+      const size = fs.statSync(outputPath).size;
+      const downloadUrl = await publishOutput(outputPath, job);
+      return { downloadUrl, size, format };
+    });
+  };
+}
+
+const PDF_EXPORT_ROUTE = {
+  files: PDF_UPLOAD,
+  maxPages: MAX_RASTER_PAGES,
+  async: true,
+  response: { ...OUTPUT_FILE, format: spec.string('Output format.') },
+};
+const LAYOUT_OPTION = spec.boolean('Keep the page layout (txt and csv-like output).', { default: true });
+
+toolRoute('/pdf-export', {
+  ...PDF_EXPORT_ROUTE,
+  tools: ['soffice', 'poppler'],
+  summary: 'Convert a PDF to an editable format.',
+  options: { format: spec.oneOf(PDF_EXPORT_FORMATS, 'Output format.'), layout: LAYOUT_OPTION },
+}, pdfExportRoute());
+toolRoute('/pdf-to-word', {
+  ...PDF_EXPORT_ROUTE,
+  tools: ['soffice'],
+  summary: 'Convert a PDF to DOCX.',
+}, pdfExportRoute('docx'));
+
+/* ------------ PROTECT PDF WITH PASSWORD ------------ */
+// password opens the document; ownerPassword (defaults to password) unlocks the
+// restricted actions. noPrint / noCopy / noEdit / noFillForms / noAnnotate = "true"
+// take the matching permission away. keyLength is 256 (AES-256, default) or 128 (AES-128).
+const PERMISSION_FLAGS = {
+  noPrint: ['--print=none'],
+  noCopy: ['--extract=n'],
+  noEdit: ['--modify-other=n', '--assemble=n'],
+  noFillForms: ['--form=n'],
+  noAnnotate: ['--annotate=n'],
+};
+
+// Throws on options no file could be protected with, so batches can check them up front.
+function checkProtectOptions(options) {
+  if (!(options.ownerPassword || options.password)) throw invalidInput('Password is required.');
+  if (!['128', '256'].includes(String(options.keyLength || 256))) throw invalidInput('Key length must be 128 or 256.');
+}
+
+async function protectPdf(inputPath, outputPath, options, job) {
+  checkProtectOptions(options);
+  const password = options.password || '';
+  const ownerPassword = options.ownerPassword || password;
+  const keyLength = String(options.keyLength || 256);
+
+  const flags = Object.entries(PERMISSION_FLAGS)
+    .filter(([option]) => String(options[option]) === 'true')
+    .flatMap(([, flags]) => flags);
+  if (keyLength === '128') flags.push('--use-aes=y');
+
+  // Named password options (qpdf 10.2+) so a password starting with "-" is not read as a flag.
+  await runCommand('qpdf', [
+    '--warning-exit-0', '--encrypt', `--user-password=${password}`, `--owner-password=${ownerPassword}`, `--bits=${keyLength}`,
+    ...flags, '--', inputPath, outputPath,
+  ], job);
+  return Object.keys(PERMISSION_FLAGS).filter(option => String(options[option]) === 'true');
+}
+
+toolRoute('/protect-pdf', {
+  files: PDF_UPLOAD,
+  tools: ['qpdf'],
+  summary: 'Encrypt a PDF with a password and optional restrictions.',
+  options: {
+    password: spec.string('Password needed to open the PDF (may be empty when ownerPassword is set).'),
+    ownerPassword: spec.string('Password that lifts the restrictions (default: password).'),
+    keyLength: spec.oneOf(['128', '256'], 'AES key length.', { default: '256' }),
+    ...Object.fromEntries(Object.keys(PERMISSION_FLAGS).map(flag => [flag, spec.boolean('Restriction.', { default: false })])),
+  },
+  response: { ...OUTPUT_FILE, restrictions: spec.array(spec.string('Restriction option.'), 'Restrictions applied.') },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const outputFilename = `protected_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  let restrictions;
+  try {
+    restrictions = await protectPdf(inputPath, outputPath, req.body);
+  } catch (err) {
+    if (err.status === 400) return sendFailure(res, err);
+    log.error('Protect PDF failed', errorFields(err));
+    return sendFailure(res, err, 'PDF protection failed.');
+  } finally {
     fs.unlinkSync(inputPath); // Clean up the uploaded file
+  }
+
+  const size = fs.statSync(outputPath).size;
+  const downloadUrl = await publishOutput(outputPath);
+  res.json({
+    downloadUrl,
+    size,
+    restrictions,
+  });
+});
+
+/* ------------ UNLOCK PDF ------------ */
+// qpdf --requires-password exits 0 when a password is needed to open the file,
+// 2 when the file is not encrypted and 3 when it is encrypted with an owner
+// password only (restrictions, no open password), which can be removed without one.
+async function unlockPdf(inputPath, outputPath, { password = '' } = {}, job) {
+  let requiresPassword = true;
+  try {
+    await runCommand('qpdf', ['--requires-password', inputPath], job);
+  } catch (err) {
+    if (err.code === 2) throw httpError('NOT_ENCRYPTED', 'This PDF is not encrypted.');
+    if (err.code !== 3) throw err;
+    requiresPassword = false;
+  }
+
+  if (requiresPassword && !password) throw httpError('PASSWORD_REQUIRED', 'Password is required.');
+
+  try {
+    await runCommand('qpdf', ['--warning-exit-0', `--password=${password}`, '--decrypt', inputPath, outputPath], job);
+  } catch (err) {
+    if (/invalid password/i.test(err.stderr || '')) throw httpError('INCORRECT_PASSWORD', 'Incorrect password.');
+    throw err;
+  }
+}
+
+toolRoute('/unlock-pdf', {
+  files: PDF_UPLOAD,
+  tools: ['qpdf'],
+  summary: 'Remove the password and restrictions from a PDF.',
+  options: { password: spec.string('Password of the PDF (owner or user).') },
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const outputFilename = `unlocked_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  try {
+    await unlockPdf(inputPath, outputPath, req.body);
+    const size = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({ downloadUrl, size });
+  } catch (err) {
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    if (err.status) return sendFailure(res, err);
+    log.error('Unlock PDF failed', errorFields(err));
+    sendFailure(res, err, 'Failed to unlock PDF.');
+  } finally {
+    fs.unlinkSync(inputPath);
+  }
+});
+
+/* ------------ PDF INFO ------------ */
+// Everything the frontend needs before picking a tool: pages, metadata, encryption,
+// text layer, fonts and images. Sections that need poppler are null when the PDF
+// needs an open password that was not sent as `password`, or when the tool fails.
+async function pdfEncryptionInfo(inputPath, password, job) {
+  let requiresPassword = true;
+  try {
+    await runCommand('qpdf', ['--requires-password', inputPath], job);
+  } catch (err) {
+    if (err.code === 2) return { encrypted: false };
+    if (err.code !== 3) throw err;
+    requiresPassword = false;
+  }
+
+  const info = { encrypted: true, requiresPassword };
+  if (requiresPassword && !password) return info;
+
+  // Lines look like "R = 6", "print high resolution: not allowed",
+  // "stream encryption method: AESv3".
+  const { stdout } = await runCommand('qpdf', [`--password=${password || ''}`, '--show-encryption', inputPath], job);
+  const permissions = {};
+  for (const line of stdout.split('\n')) {
+    const revision = line.match(/^R = (\d+)/);
+    const method = line.match(/^stream encryption method: (\S+)/);
+    const permission = line.match(/^([a-z ]+): (allowed|not allowed)$/);
+    if (revision) info.revision = Number(revision[1]);
+    if (method) info.method = method[1];
+    if (permission) {
+      const key = permission[1].replace(/ (\w)/g, (_, letter) => letter.toUpperCase());
+      permissions[key] = permission[2] === 'allowed';
+    }
+  }
+  return { ...info, permissions };
+}
+
+// Splits a poppler table into rows of cells, using the dashed rule under the header
+// to find the column boundaries (pdffonts pads names with spaces).
+function parsePopplerColumns(stdout) {
+  const lines = stdout.split('\n');
+  const rule = lines.findIndex(line => /^-+( -+)*$/.test(line.trim()) && line.includes(' '));
+  if (rule === -1) return [];
+
+  const columns = [...lines[rule].matchAll(/-+/g)].map(match => [match.index, match.index + match[0].length]);
+  return lines.slice(rule + 1).filter(line => line.trim()).map(line =>
+    columns.map(([start, end], i) => line.slice(start, i === columns.length - 1 ? undefined : end + 1).trim())
+  );
+}
+
+async function pdfFonts(inputPath, passwordArgs, job) {
+  const { stdout } = await runCommand('pdffonts', [...passwordArgs, inputPath], job);
+  return parsePopplerColumns(stdout).map(([name, type, encoding, embedded, subset, unicode]) => ({
+    name,
+    type,
+    encoding,
+    embedded: embedded === 'yes',
+    subset: subset === 'yes',
+    unicode: unicode === 'yes',
+  }));
+}
+
+async function pdfImages(inputPath, passwordArgs, job) {
+  // page num type width height color comp bpc enc interp object ID x-ppi y-ppi size ratio
+  const { stdout } = await runCommand('pdfimages', [...passwordArgs, '-list', inputPath], job);
+  return stdout.split('\n').slice(2).filter(line => line.trim()).map(line => {
+    const cells = line.trim().split(/\s+/);
+    return {
+      page: Number(cells[0]),
+      type: cells[2],
+      width: Number(cells[3]),
+      height: Number(cells[4]),
+      color: cells[5],
+      encoding: cells[8],
+      xPpi: Number(cells[12]),
+      yPpi: Number(cells[13]),
+      size: cells[14],
+    };
+  });
+}
+
+async function pdfTextLayer(inputPath, passwordArgs, job) {
+  const { stdout } = await runCommand('pdftotext', [...passwordArgs, '-enc', 'UTF-8', inputPath, '-'], job);
+  const pagesWithText = stdout.replace(/\f$/, '').split('\f')
+    .map((text, index) => text.trim() ? index + 1 : null)
+    .filter(Boolean);
+  return { hasTextLayer: pagesWithText.length > 0, pagesWithText };
+}
+
+function readPdfMetadata(pdfDoc) {
+  return {
+    title: pdfDoc.getTitle() ?? null,
+    author: pdfDoc.getAuthor() ?? null,
+    subject: pdfDoc.getSubject() ?? null,
+    keywords: pdfDoc.getKeywords() ?? null,
+    creator: pdfDoc.getCreator() ?? null,
+    producer: pdfDoc.getProducer() ?? null,
+    creationDate: pdfDoc.getCreationDate()?.toISOString() ?? null,
+    modificationDate: pdfDoc.getModificationDate()?.toISOString() ?? null,
+  };
+}
+
+async function inspectPdf(inputPath, pdfDoc, { password } = {}, job) {
+  const encryption = await pdfEncryptionInfo(inputPath, password, job);
+  const locked = encryption.requiresPassword && !password;
+  const passwordArgs = password ? ['-upw', password] : [];
+
+  const optional = async (label, inspect) => {
+    if (locked) return null;
+    try {
+      return await inspect();
+    } catch (err) {
+      if (job?.cancelled || err.status === 503) throw err;
+      log.warn('PDF info section failed', { section: label, ...errorFields(err) });
+      return null;
+    }
+  };
+
+  return {
+    size: fs.statSync(inputPath).size,
+    pageCount: pdfDoc.getPageCount(),
+    pages: pdfDoc.getPages().map((page, index) => {
+      const { width, height } = page.getSize();
+      return { page: index + 1, width: +width.toFixed(2), height: +height.toFixed(2), rotation: page.getRotation().angle };
+    }),
+    // Strings in an encrypted file are ciphertext to pdf-lib.
+    metadata: encryption.encrypted ? null : readPdfMetadata(pdfDoc),
+    encryption,
+    text: await optional('text', () => pdfTextLayer(inputPath, passwordArgs, job)),
+    fonts: await optional('fonts', () => pdfFonts(inputPath, passwordArgs, job)),
+    images: await optional('images', () => pdfImages(inputPath, passwordArgs, job)),
+  };
+}
+
+toolRoute('/pdf-info', {
+  files: PDF_UPLOAD,
+  tools: ['qpdf', 'poppler'],
+  async: true,
+  summary: 'Inspect a PDF: pages, metadata, encryption, text layer, fonts and images.',
+  options: { password: spec.string('Open password, for the text, fonts and images sections of encrypted PDFs.') },
+  response: {
+    size: spec.integer('File size in bytes.'),
+    pageCount: spec.integer('Number of pages.'),
+    pages: spec.array(spec.object({
+      page: spec.integer('Page number.'),
+      width: spec.number('Width in points.'),
+      height: spec.number('Height in points.'),
+      rotation: spec.integer('Rotation in degrees.'),
+    }), 'Page sizes.'),
+    metadata: spec.object({}, 'Document info (null for encrypted PDFs).'),
+    encryption: spec.object({ encrypted: spec.boolean('Whether the PDF is encrypted.') }, 'Encryption details.'),
+    text: spec.object({}, 'Text layer (null when unavailable).'),
+    fonts: spec.array(spec.object({}), 'Fonts (null when unavailable).'),
+    images: spec.array(spec.object({}), 'Images (null when unavailable).'),
+  },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(fs.readFileSync(inputPath), { ignoreEncryption: true, updateMetadata: false });
+  } catch {
+    fs.unlinkSync(inputPath);
+    return sendError(res, 'INVALID_INPUT', 'Could not read the PDF.');
+  }
+
+  runTool(req, res, { tool: 'pdf-info', failMessage: 'Could not inspect the PDF.' }, async (job) => {
+    try {
+      return await inspectPdf(inputPath, pdfDoc, { password: req.body.password }, job);
+    } finally {
+      fs.unlinkSync(inputPath);
+    }
+  });
+});
+
+
+
+/* ------------ EDIT PDF METADATA ------------ */
+// A field that is sent sets it, a field sent empty clears it, a field left out is kept.
+// keywords is comma-separated; dates are ISO 8601. stripAll=true removes the whole
+// document info dictionary and the XMP metadata stream instead.
+const METADATA_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer',
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate',
+};
+
+async function editPdfMetadata(inputPath, outputPath, body) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(fs.readFileSync(inputPath), { ignoreEncryption: true, updateMetadata: false });
+  } catch {
+    throw invalidInput('Could not read the PDF.');
+  }
+  if (pdfDoc.isEncrypted) throw httpError('ENCRYPTED_INPUT', 'This PDF is password-protected. Unlock it first.');
+
+  const { catalog, context } = pdfDoc;
+  // pdf-lib writes every object it parsed, so detached metadata objects are deleted
+  // too, otherwise the old values would still be in the file.
+  const drop = (ref) => {
+    if (ref instanceof PDFRef) context.delete(ref);
+  };
+
+  // pdf-lib only edits the info dictionary; an XMP stream left behind would still carry
+  // the old values, and some readers prefer it.
+  drop(catalog.get(PDFName.of('Metadata')));
+  catalog.delete(PDFName.of('Metadata'));
+
+  if (body.stripAll === 'true' || body.stripAll === true) {
+    drop(catalog.get(PDFName.of('PieceInfo')));
+    catalog.delete(PDFName.of('PieceInfo'));
+    drop(context.trailerInfo.Info);
+    context.trailerInfo.Info = undefined;
+  } else {
+    const info = pdfDoc.getInfoDict();
+    const setters = {
+      title: value => pdfDoc.setTitle(value),
+      author: value => pdfDoc.setAuthor(value),
+      subject: value => pdfDoc.setSubject(value),
+      keywords: value => pdfDoc.setKeywords(value.split(',').map(keyword => keyword.trim()).filter(Boolean)),
+      creator: value => pdfDoc.setCreator(value),
+      producer: value => pdfDoc.setProducer(value),
+      creationDate: value => pdfDoc.setCreationDate(value),
+      modificationDate: value => pdfDoc.setModificationDate(value),
+    };
+
+    for (const [field, key] of Object.entries(METADATA_FIELDS)) {
+      if (!(field in body)) continue;
+      const value = String(body[field]).trim();
+      if (!value) {
+        info.delete(PDFName.of(key));
+        continue;
+      }
+
+      if (field.endsWith('Date')) {
+        const date = new Date(value);
+        if (isNaN(date)) throw invalidInput(`${field} must be an ISO 8601 date.`);
+        setters[field](date);
+      } else {
+        setters[field](value);
+      }
+    }
+    if (!('modificationDate' in body)) pdfDoc.setModificationDate(new Date());
+  }
+
+  const pdfBytes = await pdfDoc.save();
+  fs.writeFileSync(outputPath, pdfBytes);
+  return readPdfMetadata(pdfDoc);
+}
+
+toolRoute('/edit-pdf-metadata', {
+  files: PDF_UPLOAD,
+  summary: 'Set or strip PDF document info.',
+  options: {
+    ...Object.fromEntries(Object.keys(METADATA_FIELDS).map(field => [field, spec.string(
+      field.endsWith('Date') ? 'ISO 8601 date; empty to remove.' : 'New value; empty to remove.'
+    )])),
+    stripAll: spec.boolean('Remove all metadata first.', { default: false }),
+  },
+  response: { ...OUTPUT_FILE, metadata: spec.object({}, 'Metadata of the result.') },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+
+  const outputPath = path.join('compressed', `metadata_${uniqueStamp()}.pdf`);
+
+  try {
+    const metadata = await editPdfMetadata(inputPath, outputPath, req.body);
+    const size = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({ downloadUrl, size, metadata });
+  } catch (err) {
+    if (err.status === 400) return sendFailure(res, err);
+    log.error('Edit metadata failed', errorFields(err));
+    sendFailure(res, err, 'Editing PDF metadata failed.');
+  } finally {
+    fs.unlinkSync(inputPath);
+  }
+});
+
+
+
+/* ------------ ORGANIZE PDF PAGES ------------ */
+// `actions` for /organize-pdf and /rotate-pdf: a JSON array (or an already parsed one).
+function parsePageActions(raw) {
+  if (!raw) throw invalidInput('Missing actions.');
+  let actions;
+  try {
+    actions = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    throw invalidInput('Actions must be valid JSON.');
+  }
+  if (!Array.isArray(actions)) throw invalidInput('Actions must be a JSON array.');
+  return actions;
+}
+
+// actions: page indices and 'blank' placeholders in output order, e.g. [0, 2, 'blank', 1]
+async function organizePdf(inputPath, outputPath, actions) {
+  const originalPdf = await PDFDocument.load(fs.readFileSync(inputPath));
+  const newPdf = await PDFDocument.create();
+
+  for (let action of actions) {
+    if (action === 'blank') {
+      const blankPage = newPdf.addPage();
+      blankPage.drawText('');
+    } else {
+      const [copiedPage] = await newPdf.copyPages(originalPdf, [action]);
+      newPdf.addPage(copiedPage);
+    }
+  }
+
+  const pdfBytes = await newPdf.save();
+  fs.writeFileSync(outputPath, pdfBytes);
+  return pdfBytes.length;
+}
+
+toolRoute('/organize-pdf', {
+  files: { originalPdf: { accept: 'pdf' } },
+  summary: 'Reorder, drop, duplicate or insert blank pages.',
+  options: { actions: spec.json('Zero-based page indexes in the new order, "blank" for a blank page.') },
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const outputFilename = `organized_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  let actions;
+  try {
+    actions = parsePageActions(req.body.actions);
+  } catch (err) {
+    fs.unlinkSync(inputPath);
+    return sendError(res, 'INVALID_INPUT', err.message);
+  }
+
+  try {
+    const size = await organizePdf(inputPath, outputPath, actions);
+    fs.unlinkSync(inputPath);
+
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({
+      downloadUrl,
+      size
+    });
+  } catch (err) {
+    log.error('Organize PDF failed', errorFields(err));
+    if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+    sendFailure(res, err, 'Failed to organize PDF.');
+  }
+});
+
+/* ------------ PAGE RANGES ------------ */
+// Parses "1-3,5,8-10" (1-based, inclusive) into [{ start, end }] and checks it
+// against the page count. "5-" runs to the last page. Throws on bad input.
+function parsePageRanges(spec, pageCount) {
+  const parts = String(spec || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) throw new Error('Page ranges are empty.');
+
+  return parts.map(part => {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    if (!match) throw new Error(`Invalid page range "${part}".`);
+
+    const start = parseInt(match[1]);
+    const end = match[2] === undefined ? start : (match[2] === '' ? pageCount : parseInt(match[2]));
+    if (start < 1 || end < start || end > pageCount) {
+      throw new Error(`Page range "${part}" is outside 1-${pageCount}.`);
+    }
+    return { start, end };
+  });
+}
+
+function formatPageRange({ start, end }) {
+  return start === end ? `${start}` : `${start}-${end}`;
+}
+
+async function extractPages(sourcePdf, pageIndices) {
+  const newPdf = await PDFDocument.create();
+  const copiedPages = await newPdf.copyPages(sourcePdf, pageIndices);
+  copiedPages.forEach(page => newPdf.addPage(page));
+  return newPdf.save();
+}
+
+/* ------------ SPLIT PDF ------------ */
+// mode=ranges: one file per range in `ranges` ("1-3,5,8-10")
+// mode=every:  chunks of `pages` pages
+// mode=size:   chunks of at most `maxSize` KB (a single page that is already larger
+//              becomes its own chunk and is flagged with exceedsMaxSize)
+async function splitBySize(sourcePdf, maxBytes) {
+  const pageCount = sourcePdf.getPageCount();
+  const chunks = [];
+  let current = null;
+
+  // Saving a page on its own counts shared fonts/images every time, so the
+  // estimate is usually on the high side; each chunk is still re-checked once it is
+  // built and halved while it is over the limit.
+  const pageSizes = [];
+  for (let i = 0; i < pageCount; i++) {
+    pageSizes.push((await extractPages(sourcePdf, [i])).length);
+  }
+
+  for (let i = 0; i < pageCount; i++) {
+    if (current && current.estimate + pageSizes[i] <= maxBytes) {
+      current.end = i + 1;
+      current.estimate += pageSizes[i];
+    } else {
+      current = { start: i + 1, end: i + 1, estimate: pageSizes[i] };
+      chunks.push(current);
+    }
+  }
+
+  const checked = [];
+  const check = async ({ start, end }) => {
+    const indices = [];
+    for (let page = start; page <= end; page++) indices.push(page - 1);
+    const bytes = await extractPages(sourcePdf, indices);
+    if (bytes.length <= maxBytes || start === end) return checked.push({ start, end, bytes });
+    const middle = Math.floor((start + end) / 2);
+    await check({ start, end: middle });
+    await check({ start: middle + 1, end });
+  };
+  for (const chunk of chunks) await check(chunk);
+  return checked;
+}
+
+toolRoute('/split-pdf', {
+  files: PDF_UPLOAD,
+  summary: 'Split a PDF by page ranges, into chunks of N pages, or into parts under a size.',
+  options: {
+    mode: spec.oneOf(['ranges', 'every', 'size'], 'How to split.', { default: 'ranges' }),
+    ranges: spec.string('mode=ranges: one part per range, e.g. "1-3,4-6".'),
+    pages: spec.integer('mode=every: pages per part.', { minimum: 1 }),
+    maxSize: spec.integer('mode=size: maximum part size in KB.', { minimum: 10 }),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    pages: spec.string('Page range (single part).'),
+    parts: spec.array(spec.object({
+      name: spec.string('File name inside the ZIP.'),
+      pages: spec.string('Page range.'),
+      size: spec.integer('Size in bytes.'),
+      exceedsMaxSize: spec.boolean('A single page was already over maxSize.'),
+    }), 'Parts when there are several (the download is a ZIP).'),
+  },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const mode = req.body.mode || 'ranges';
+
+
+  try {
+    let sourcePdf;
+    try {
+      sourcePdf = await PDFDocument.load(fs.readFileSync(inputPath));
+    } catch {
+      return sendError(res, 'INVALID_INPUT', 'Could not read the PDF.');
+    }
+    const pageCount = sourcePdf.getPageCount();
+
+    let ranges;
+    try {
+      if (mode === 'ranges') {
+        ranges = parsePageRanges(req.body.ranges, pageCount);
+      } else if (mode === 'every') {
+        const size = parseInt(req.body.pages);
+        if (!size || size < 1) throw new Error('Pages per chunk must be a positive number.');
+        ranges = [];
+        for (let start = 1; start <= pageCount; start += size) {
+          ranges.push({ start, end: Math.min(start + size - 1, pageCount) });
+        }
+      } else if (mode === 'size') {
+        const maxSizeKB = parseInt(req.body.maxSize);
+        if (!maxSizeKB || maxSizeKB < 10) throw new Error('Max size must be at least 10KB.');
+        ranges = await splitBySize(sourcePdf, maxSizeKB * 1024);
+      } else {
+        throw new Error('Mode must be one of: ranges, every, size.');
+      }
+    } catch (err) {
+      return sendError(res, 'INVALID_INPUT', err.message);
+    }
+
+    const base = path.basename(req.file.originalname, path.extname(req.file.originalname));
+    const maxBytes = mode === 'size' ? parseInt(req.body.maxSize) * 1024 : null;
+    const parts = [];
+    const usedNames = new Set();
+
+    for (const range of ranges) {
+      let bytes = range.bytes;
+      if (!bytes) {
+        const indices = [];
+        for (let page = range.start; page <= range.end; page++) indices.push(page - 1);
+        bytes = await extractPages(sourcePdf, indices);
+      }
+      // Repeated ranges would otherwise overwrite each other in the ZIP.
+      let name = `${base}_pages_${formatPageRange(range)}.pdf`;
+      for (let n = 2; usedNames.has(name); n++) name = `${base}_pages_${formatPageRange(range)}_${n}.pdf`;
+      usedNames.add(name);
+      parts.push({
+        name,
+        pages: formatPageRange(range),
+        bytes,
+        size: bytes.length,
+        exceedsMaxSize: maxBytes && bytes.length > maxBytes ? true : undefined,
+      });
+    }
+
+    if (parts.length === 1) {
+      const outputPath = path.join('compressed', `split_${uniqueStamp()}.pdf`);
+      fs.writeFileSync(outputPath, parts[0].bytes);
+      const downloadUrl = await publishOutput(outputPath);
+      return res.json({ downloadUrl, size: parts[0].size, pages: parts[0].pages });
+    }
+
+    const zipPath = path.join('compressed', `split_${uniqueStamp()}.zip`);
+    await writeZip(zipPath, archive => {
+      parts.forEach(({ name, bytes }) => archive.append(Buffer.from(bytes), { name }));
+    });
+
+    const size = fs.statSync(zipPath).size;
+    const downloadUrl = await publishOutput(zipPath);
+    res.json({
+      downloadUrl,
+      size,
+      parts: parts.map(({ bytes, ...part }) => part),
+    });
+  } catch (err) {
+    log.error('Split PDF failed', errorFields(err));
+    sendFailure(res, err, 'Failed to split PDF.');
+  } finally {
+    if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
+  }
+});
+
+/* ------------ PDF TO JPG (ZIP) ------------ */
+// Options: format (jpeg | png | webp | tiff), dpi, quality (JPEG/WebP), pages
+// ("1-3,7"), grayscale. One rendered page comes back as the image itself; more
+// pages come back as a ZIP. pdftoppm has no WebP output, so WebP goes via PNG.
+const RASTER_FORMATS = {
+  jpeg: { flags: ['-jpeg'], ext: '.jpg' },
+  png: { flags: ['-png'], ext: '.png' },
+  webp: { flags: ['-png'], ext: '.png' },
+  tiff: { flags: ['-tiff', '-tiffcompression', 'lzw'], ext: '.tif' },
+};
+
+async function pdfPageCount(inputPath) {
+  try {
+    const pdf = await PDFDocument.load(fs.readFileSync(inputPath), { ignoreEncryption: true, updateMetadata: false });
+    return pdf.getPageCount();
+  } catch {
+    throw new Error('Could not read the PDF.');
+  }
+}
+
+// Renders the requested pages into outputDir and returns the files in page order.
+async function rasterizePdf(inputPath, outputDir, { format = 'jpeg', dpi, quality, ranges, grayscale, scaleTo } = {}, job) {
+  const { flags, ext } = RASTER_FORMATS[format];
+  const args = [...flags];
+  if (dpi) args.push('-r', String(dpi));
+  if (scaleTo) args.push('-scale-to', String(scaleTo));
+  if (quality && format === 'jpeg') args.push('-jpegopt', `quality=${quality}`);
+  if (grayscale) args.push('-gray');
+
+  // With -progress pdftoppm prints "<page> <last page> <file>" as each page is written.
+  const total = ranges && ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0);
+  let pagesDone = 0;
+  const onStderr = job && (text => {
+    for (const [, , last] of text.matchAll(/^(\d+) (\d+) /gm)) {
+      pagesDone++;
+      const pages = total || Number(last);
+      reportProgress(job, { stage: 'render', pagesDone, pages, percent: pagesDone / pages * 100 });
+    }
+  });
+
+  // pdftoppm only takes one -f/-l span per run, so each range is its own run.
+  for (const range of ranges || [null]) {
+    const span = range ? ['-f', String(range.start), '-l', String(range.end)] : [];
+    await runCommand('pdftoppm', [...span, ...args, ...(job ? ['-progress'] : []), inputPath, `${outputDir}/page`], job, { onStderr });
+  }
+
+  const rendered = fs.readdirSync(outputDir)
+    .filter(f => f.endsWith(ext))
+    .sort()
+    .map(f => path.join(outputDir, f));
+
+  if (format !== 'webp') return rendered;
+
+  const converted = [];
+  for (const pngPath of rendered) {
+    const webpPath = pngPath.replace(/\.png$/, '.webp');
+    await sharp(pngPath).webp({ quality: quality || 80 }).toFile(webpPath);
+    fs.unlinkSync(pngPath);
+    converted.push(webpPath);
+  }
+  return converted;
+}
+
+function parseRasterOptions(body, pageCount) {
+  const format = normalizeImageFormat(body.format || 'jpeg');
+  const dpi = body.dpi ? parseInt(body.dpi) : null;
+  const quality = body.quality ? parseInt(body.quality) : null;
+
+  if (!RASTER_FORMATS[format]) throw new Error(`Format must be one of: ${Object.keys(RASTER_FORMATS).join(', ')}.`);
+  if (dpi !== null && !(dpi >= 36 && dpi <= 600)) throw new Error('DPI must be between 36 and 600.');
+  if (quality !== null && !(quality >= 1 && quality <= 100)) throw new Error('Quality must be between 1 and 100.');
+
+  return {
+    format,
+    dpi,
+    quality,
+    ranges: body.pages ? parsePageRanges(body.pages, pageCount) : null,
+    grayscale: body.grayscale === 'true',
+  };
+}
+
+toolRoute('/pdf-to-jpg', {
+  files: PDF_UPLOAD,
+  maxPages: MAX_RASTER_PAGES,
+  tools: ['poppler'],
+  async: true,
+  summary: 'Render PDF pages as images (a ZIP for several pages).',
+  options: {
+    format: spec.oneOf(Object.keys(RASTER_FORMATS), 'Image format.', { default: 'jpeg' }),
+    dpi: spec.integer('Resolution.', { minimum: 36, maximum: 600, default: 150 }),
+    quality: spec.integer('JPEG/WebP quality.', { minimum: 1, maximum: 100 }),
+    pages: PAGES_OPTION,
+    grayscale: spec.boolean('Render in grayscale.', { default: false }),
+  },
+  response: { ...OUTPUT_FILE, pages: spec.integer('Pages rendered.'), format: spec.string('Image format.') },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+
+  let options;
+  try {
+    options = parseRasterOptions(req.body, await pdfPageCount(inputPath));
+  } catch (err) {
+    fs.unlinkSync(inputPath);
+    return sendError(res, 'INVALID_INPUT', err.message);
+  }
+
+  runTool(req, res, { tool: 'pdf-to-jpg', failMessage: 'Conversion failed.' }, async (job) => {
+    const outputDir = fs.mkdtempSync(path.join('compressed', 'jpgs_'));
+
+    try {
+      const images = await rasterizePdf(inputPath, outputDir, options, job);
+      if (images.length === 0) throw new Error('No pages were rendered.');
+
+      let outputPath;
+      if (images.length === 1) {
+        outputPath = path.join('compressed', `converted_${uniqueStamp()}${path.extname(images[0])}`);
+        fs.renameSync(images[0], outputPath);
+      } else {
+        outputPath = path.join('compressed', `converted_${uniqueStamp()}.zip`);
+        await writeZip(outputPath, archive => images.forEach(image => archive.file(image, { name: path.basename(image) })));
+      }
+
+      const size = fs.statSync(outputPath).size;
+      const downloadUrl = await publishOutput(outputPath, job);
+      return { downloadUrl, size, pages: images.length, format: options.format };
+    } finally {
+      fs.unlinkSync(inputPath);
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+});
+
+/* ------------ PDF THUMBNAILS ------------ */
+// Small JPEG previews of every page (or `pages`), returned inline as data URLs so
+// the page organizer can draw its grid before calling /organize-pdf or /rotate-pdf.
+toolRoute('/pdf-thumbnails', {
+  files: PDF_UPLOAD,
+  maxPages: MAX_RASTER_PAGES,
+  tools: ['poppler'],
+  summary: 'Small JPEG previews of the pages as data URLs.',
+  options: {
+    size: spec.integer('Longest side in pixels.', { minimum: 32, maximum: 600, default: 200 }),
+    pages: PAGES_OPTION,
+  },
+  response: {
+    pageCount: spec.integer('Pages in the PDF.'),
+    thumbnails: spec.array(spec.object({
+      page: spec.integer('Page number.'),
+      width: spec.integer('Width in pixels.'),
+      height: spec.integer('Height in pixels.'),
+      dataUrl: spec.string('JPEG data URL.'),
+    }), 'One per rendered page.'),
+  },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const size = parseInt(req.body.size) || 200;
+
+
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbs_'));
+
+  try {
+    let pageCount;
+    let ranges;
+    try {
+      if (size < 32 || size > 600) throw new Error('Size must be between 32 and 600 pixels.');
+      pageCount = await pdfPageCount(inputPath);
+      ranges = req.body.pages ? parsePageRanges(req.body.pages, pageCount) : null;
+    } catch (err) {
+      return sendError(res, 'INVALID_INPUT', err.message);
+    }
+
+    const images = await rasterizePdf(inputPath, outputDir, { format: 'jpeg', quality: 70, scaleTo: size, ranges });
+    const thumbnails = [];
+    for (const image of images) {
+      const { width, height } = await sharp(image).metadata();
+      thumbnails.push({
+        page: parseInt(path.basename(image).match(/(\d+)\.jpg$/)[1]),
+        width,
+        height,
+        dataUrl: `data:image/jpeg;base64,${fs.readFileSync(image).toString('base64')}`,
+      });
+    }
+
+    res.json({ pageCount, thumbnails });
+  } catch (err) {
+    log.error('PDF thumbnails failed', errorFields(err));
+    sendFailure(res, err, 'Failed to render thumbnails.');
+  } finally {
+    fs.unlinkSync(inputPath);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+const OFFICE_EXTENSIONS = ['.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx'];
+
+toolRoute('/compress-doc', {
+  files: DOCUMENT_UPLOAD,
+  maxFileSize: 50 * MB,
+  tools: ['soffice'],
+  summary: 'Convert a Word, Excel or PowerPoint file to PDF.',
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const ext = path.extname(req.file.originalname).toLowerCase();
+
+  if (OFFICE_EXTENSIONS.includes(ext)) {
+    const outputFilename = `${path.basename(req.file.originalname, ext)}_${uniqueStamp()}.pdf`;
+    const outputPath = path.resolve('compressed', outputFilename);
+
+    let converted;
+    try {
+      converted = await sofficeConvert(inputPath, 'pdf');
+      fs.copyFileSync(converted.filePath, outputPath);
+    } catch (err) {
+      log.error('LibreOffice conversion failed', errorFields(err));
+      return sendFailure(res, err, 'File conversion failed.');
+    } finally {
+      fs.unlinkSync(inputPath);
+      if (converted) fs.rmSync(converted.workDir, { recursive: true, force: true });
+    }
+    const compressedSize = fs.statSync(outputPath).size;
+
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({
+      downloadUrl,
+      size: compressedSize,
+    });
+
+  } else {
+    fs.unlinkSync(inputPath);
+    return sendError(res, 'UNSUPPORTED_FORMAT', 'Unsupported file format.');
+  }
+});
+
+
+
+
+/* ------------ ADD PAGE NUMBERS TO PDF ------------ */
+// Stamping helpers work in "display space": what the reader sees after the page's
+// /Rotate is applied, origin bottom-left. toPageSpace() maps a point and angle
+// there back to the unrotated page coordinates pdf-lib draws in.
+function displaySize(page) {
+  const { width, height } = page.getMediaBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  return rotation % 180 === 0 ? { width, height, rotation } : { width: height, height: width, rotation };
+}
+
+function toPageSpace(page, dx, dy, angle = 0) {
+  const { x: x0, y: y0, width: w, height: h } = page.getMediaBox();
+  const { rotation } = displaySize(page);
+  const mapped = {
+    0: [dx, dy],
+    90: [w - dy, dx],
+    180: [w - dx, h - dy],
+    270: [dy, h - dx],
+  }[rotation];
+  return { x: x0 + mapped[0], y: y0 + mapped[1], rotate: degrees(angle + rotation) };
+}
+
+// Bottom-left origin that puts the centre of a w*h box at (cx, cy) once rotated by `angle`.
+function rotatedOrigin(cx, cy, w, h, angle) {
+  const rad = angle * Math.PI / 180;
+  return {
+    x: cx - (w / 2 * Math.cos(rad) - h / 2 * Math.sin(rad)),
+    y: cy - (w / 2 * Math.sin(rad) + h / 2 * Math.cos(rad)),
+  };
+}
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+
+function parseHexColor(value, fallback) {
+  const match = String(value || '').match(HEX_COLOR);
+  const hex = match ? match[1] : fallback;
+  return rgb(
+    parseInt(hex.slice(0, 2), 16) / 255,
+    parseInt(hex.slice(2, 4), 16) / 255,
+    parseInt(hex.slice(4, 6), 16) / 255,
+  );
+}
+
+// pages: range spec like "2-5,8"; empty means every page. Returns 0-based indices.
+function selectPages(pdf, pages) {
+  const pageCount = pdf.getPageCount();
+  if (!pages) return pdf.getPageIndices();
+  const indices = new Set();
+  for (const { start, end } of parsePageRanges(pages, pageCount)) {
+    for (let page = start; page <= end; page++) indices.add(page - 1);
+  }
+  return [...indices].sort((a, b) => a - b);
+}
+
+const PAGE_NUMBER_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+// options: position, format ("Page {n} of {total}"), start, fontSize, pages, margin,
+// header / footer (extra centred lines, same placeholders)
+async function addPageNumbers(inputPath, outputPath, options = {}) {
+  const position = options.position || 'bottom-center';
+  const format = options.format || '{n}';
+  const start = Number.isInteger(parseInt(options.start)) ? parseInt(options.start) : 1;
+  const fontSize = parseFloat(options.fontSize) || 12;
+  const margin = options.margin === undefined || options.margin === '' ? 24 : Number(options.margin);
+
+  if (!PAGE_NUMBER_POSITIONS.includes(position)) {
+    throw invalidInput(`Position must be one of: ${PAGE_NUMBER_POSITIONS.join(', ')}.`);
+  }
+  if (fontSize < 4 || fontSize > 72) throw invalidInput('Font size must be between 4 and 72.');
+  if (!(Number.isFinite(margin) && margin >= 0 && margin <= 200)) throw invalidInput('Margin must be between 0 and 200 points.');
+
+  const pdf = await PDFDocument.load(fs.readFileSync(inputPath));
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  let indices;
+  try {
+    indices = selectPages(pdf, options.pages);
+  } catch (err) {
+    throw invalidInput(err.message);
+  }
+  const total = start + indices.length - 1;
+  const color = parseHexColor(options.color, '000000');
+  const textHeight = font.heightAtSize(fontSize, { descender: false });
+
+  const stamp = (page, text, vertical, horizontal) => {
+    const { width, height } = displaySize(page);
+    const textWidth = font.widthOfTextAtSize(text, fontSize);
+    const dx = horizontal === 'left' ? margin
+      : horizontal === 'right' ? width - margin - textWidth
+        : (width - textWidth) / 2;
+    const dy = vertical === 'top' ? height - margin - textHeight : margin;
+    page.drawText(text, { ...toPageSpace(page, dx, dy), size: fontSize, font, color });
+  };
+
+  const fill = (template, n) => template.replace(/\{n\}/g, n).replace(/\{total\}/g, total);
+  const [vertical, horizontal] = position.split('-');
+
+  try {
+    indices.forEach((pageIndex, i) => {
+      const page = pdf.getPage(pageIndex);
+      const n = start + i;
+      stamp(page, fill(format, n), vertical, horizontal);
+      if (options.header) stamp(page, fill(options.header, n), 'top', 'center');
+      if (options.footer) stamp(page, fill(options.footer, n), 'bottom', 'center');
+    });
+  } catch (err) {
+    // Helvetica only covers WinAnsi; anything else cannot be encoded.
+    if (/cannot encode/i.test(err.message)) throw invalidInput('Text contains characters the built-in font cannot draw.');
+    throw err;
+  }
+
+  fs.writeFileSync(outputPath, await pdf.save());
+}
+
+toolRoute('/add-page-numbers', {
+  files: PDF_UPLOAD,
+  summary: 'Stamp page numbers and optional header/footer lines.',
+  options: {
+    position: spec.oneOf(PAGE_NUMBER_POSITIONS, 'Where the number goes.', { default: 'bottom-center' }),
+    format: spec.string('Text with {n} and {total} placeholders.', { default: '{n}' }),
+    start: spec.integer('Number of the first numbered page.', { default: 1 }),
+    fontSize: spec.number('Font size in points.', { minimum: 4, maximum: 72, default: 12 }),
+    margin: spec.number('Distance from the page edge in points.', { minimum: 0, maximum: 200, default: 24 }),
+    color: spec.string('Hex colour.', { default: '000000' }),
+    header: spec.string('Extra centred line at the top (same placeholders).'),
+    footer: spec.string('Extra centred line at the bottom (same placeholders).'),
+    pages: PAGES_OPTION,
+  },
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const outputFilename = `numbered_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+
+  try {
+    await addPageNumbers(inputPath, outputPath, req.body);
+    const size = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({ downloadUrl, size });
+  } catch (err) {
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    if (err.status === 400) return sendFailure(res, err);
+    log.error('Page numbers failed', errorFields(err));
+    sendFailure(res, err, 'Failed to add page numbers.');
+  } finally {
+    fs.unlinkSync(inputPath);
+  }
+});
+
+/* ------------ WATERMARK PDF ------------ */
+// Stamps `text` or an uploaded `logo` image on the selected pages.
+// options: opacity (0-1), rotation (degrees), tile, fontSize, color, scale (logo width
+// as a fraction of the page width), pages
+
+// Upper bound on marks drawn across the whole document when tiling: a tiny mark
+// on hundreds of pages would otherwise hold the event loop for many seconds.
+const MAX_WATERMARK_TILES = 5000;
+
+async function watermarkPdf(inputPath, outputPath, options = {}) {
+  const opacity = parseFloat(options.opacity ?? 0.3);
+  const rotation = parseFloat(options.rotation ?? 45) || 0;
+  const tile = String(options.tile) === 'true';
+  const fontSize = parseFloat(options.fontSize) || 48;
+
+  if (!options.text && !options.logoPath) throw invalidInput('Provide watermark text or a logo image.');
+  if (!(opacity >= 0 && opacity <= 1)) throw invalidInput('Opacity must be a number between 0 and 1.');
+  if (fontSize < 4 || fontSize > 72) throw invalidInput('Font size must be between 4 and 72.');
+
+  const pdf = await PDFDocument.load(fs.readFileSync(inputPath));
+  let indices;
+  try {
+    indices = selectPages(pdf, options.pages);
+  } catch (err) {
+    throw invalidInput(err.message);
+  }
+
+  let mark;
+  if (options.logoPath) {
+    // Any accepted image type works: loadImagesForPdf turns the rest into PNG or JPG.
+    let logo;
+    try {
+      const [{ bytes, type }] = await loadImagesForPdf(options.logoPath);
+      logo = type === 'png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+    } catch (err) {
+      if (err.status) throw err;
+      throw invalidInput('The logo image could not be read.');
+    }
+    const scale = Math.min(1, Math.max(0.01, parseFloat(options.scale) || 0.3));
+
+    mark = {
+      measure: page => {
+        const width = displaySize(page).width * scale;
+        return { width, height: width * logo.height / logo.width };
+      },
+      draw: (page, cx, cy) => {
+        const { width, height } = mark.measure(page);
+        const origin = rotatedOrigin(cx, cy, width, height, rotation);
+        page.drawImage(logo, { ...toPageSpace(page, origin.x, origin.y, rotation), width, height, opacity });
+      },
+    };
+  } else {
+    const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const color = parseHexColor(options.color, '888888');
+    try {
+      font.encodeText(options.text);
+    } catch {
+      throw invalidInput('Text contains characters the built-in font cannot draw.');
+    }
+
+    mark = {
+      measure: () => ({
+        width: font.widthOfTextAtSize(options.text, fontSize),
+        height: font.heightAtSize(fontSize, { descender: false }),
+      }),
+      draw: (page, cx, cy) => {
+        const { width, height } = mark.measure(page);
+        const origin = rotatedOrigin(cx, cy, width, height, rotation);
+        page.drawText(options.text, { ...toPageSpace(page, origin.x, origin.y, rotation), size: fontSize, font, color, opacity });
+      },
+    };
+  }
+
+  let tiles = 0;
+  for (const pageIndex of indices) {
+    const page = pdf.getPage(pageIndex);
+    const { width, height } = displaySize(page);
+
+    if (!tile) {
+      mark.draw(page, width / 2, height / 2);
+      continue;
+    }
+
+    // Grid centred on the page, one step past each edge so rotated marks reach the corners.
+    const size = mark.measure(page);
+    const step = Math.max(size.width, size.height) * 1.5;
+    const columns = Math.ceil(width / 2 / step);
+    const rows = Math.ceil(height / 2 / step);
+    tiles += (2 * columns + 1) * (2 * rows + 1);
+    if (tiles > MAX_WATERMARK_TILES) {
+      throw invalidInput(`Tiling would draw more than ${MAX_WATERMARK_TILES} watermarks. Use a larger font size or logo scale, or fewer pages.`);
+    }
+    for (let row = -rows; row <= rows; row++) {
+      for (let col = -columns; col <= columns; col++) {
+        mark.draw(page, width / 2 + col * step, height / 2 + row * step);
+      }
+    }
+  }
+
+  fs.writeFileSync(outputPath, await pdf.save());
+}
+
+toolRoute('/watermark-pdf', {
+  files: { file: { accept: 'pdf' }, logo: { accept: 'image', required: false } },
+  summary: 'Stamp text or a logo on PDF pages.',
+  options: {
+    text: spec.string('Watermark text (or upload a logo image).'),
+    opacity: spec.number('Opacity.', { minimum: 0, maximum: 1, default: 0.3 }),
+    rotation: spec.number('Rotation in degrees.', { default: 45 }),
+    tile: spec.boolean('Repeat across the page.', { default: false }),
+    fontSize: spec.number('Font size in points.', { minimum: 4, maximum: 72, default: 48 }),
+    color: spec.string('Hex colour of the text.', { default: '888888' }),
+    scale: spec.number('Logo width as a fraction of the page width.', { minimum: 0.01, maximum: 1, default: 0.3 }),
+    pages: PAGES_OPTION,
+  },
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = req.files.file[0].path;
+  const logoPath = req.files.logo?.[0]?.path;
+  const outputFilename = `watermarked_${uniqueStamp()}.pdf`;
+  const outputPath = path.join('compressed', outputFilename);
+
+  try {
+    await watermarkPdf(inputPath, outputPath, { ...req.body, logoPath });
+    const size = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({ downloadUrl, size });
+  } catch (err) {
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    if (err.status === 400) return sendFailure(res, err);
+    log.error('Watermark failed', errorFields(err));
+    sendFailure(res, err, 'Failed to watermark PDF.');
+  } finally {
+    [inputPath, logoPath].forEach(p => p && fs.existsSync(p) && fs.unlinkSync(p));
+  }
+});
+
+/* ------------ SIGN PDF ------------ */
+// Stamps a handwritten signature (PNG/JPG `signature` upload), the signer's `name`
+// and/or the date on the chosen pages, at x/y in points from the bottom-left of the
+// page as displayed (default: bottom-right corner). The name and date go under the
+// image. With a PKCS#12 `certificate` (+ certificatePassword) the result is also
+// signed digitally: a detached PKCS#7 signature (adbe.pkcs7.detached, SHA-256) over
+// the whole file. CAdES (ETSI.CAdES.detached) is not offered, because it needs a
+// signing-certificate attribute that @signpdf's P12Signer does not add.
+const SIGNATURE_LENGTH = 16384;
+const SIGNATURE_MARGIN = 36;
+
+// Opens the PKCS#12 bundle the way P12Signer will, so a wrong password or an unusable
+// file is reported before anything is signed. node-forge only reads RSA keys.
+function readCertificateBundle(p12Bytes, password) {
+  let bundle;
+  try {
+    bundle = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(p12Bytes.toString('binary')), false, password);
+  } catch (err) {
+    if (/invalid password|could not be verified/i.test(err.message)) {
+      throw httpError('INCORRECT_PASSWORD', 'Incorrect certificate password.');
+    }
+    throw invalidInput('The certificate must be a PKCS#12 (.p12/.pfx) file with an RSA key.');
+  }
+
+  const bags = type => bundle.getBags({ bagType: type })[type] || [];
+  const key = bags(forge.pki.oids.pkcs8ShroudedKeyBag)[0]?.key;
+  const certificate = key && bags(forge.pki.oids.certBag)
+    .map(bag => bag.cert)
+    .find(cert => cert?.publicKey.n?.compareTo(key.n) === 0);
+  if (!certificate) throw invalidInput('The certificate file must contain a certificate and its private key.');
+
+  const { notBefore, notAfter } = certificate.validity;
+  const now = new Date();
+  if (now < notBefore || now > notAfter) throw invalidInput('The certificate is expired or not yet valid.');
+
+  return {
+    commonName: certificate.subject.getField('CN')?.value || null,
+    validFrom: notBefore.toISOString(),
+    validTo: notAfter.toISOString(),
+  };
+}
+
+async function signPdf(inputPath, outputPath, options) {
+  const fontSize = parseFloat(options.fontSize) || 10;
+  const width = parseFloat(options.width) || 150;
+  if (fontSize < 4 || fontSize > 72) throw invalidInput('Font size must be between 4 and 72.');
+  if (width < 10 || width > 1000) throw invalidInput('Width must be between 10 and 1000 points.');
+
+  const signedAt = new Date();
+  const lines = [options.name, options.date === 'true' ? signedAt.toISOString().slice(0, 10) : null].filter(Boolean);
+  if (!options.imagePath && lines.length === 0 && !options.certificatePath) {
+    throw invalidInput('Provide a signature image, a name, the date or a certificate.');
+  }
+  const certificate = options.certificatePath
+    ? readCertificateBundle(fs.readFileSync(options.certificatePath), options.certificatePassword || '')
+    : null;
+
+  const pdf = await PDFDocument.load(fs.readFileSync(inputPath));
+  let indices;
+  try {
+    indices = selectPages(pdf, options.pages || String(pdf.getPageCount()));
+  } catch (err) {
+    throw invalidInput(err.message);
+  }
+
+  let image = null;
+  if (options.imagePath) {
+    const imageBytes = fs.readFileSync(options.imagePath);
+    image = options.imageType === 'png' ? await pdf.embedPng(imageBytes) : await pdf.embedJpg(imageBytes);
+  }
+  const imageHeight = image ? width * image.height / image.width : 0;
+  const lineHeight = fontSize * 1.2;
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  try {
+    lines.forEach(line => font.encodeText(line));
+  } catch {
+    throw invalidInput('Name contains characters the built-in font cannot draw.');
+  }
+
+  for (const index of indices) {
+    const page = pdf.getPage(index);
+    const display = displaySize(page);
+    const x = Number.isFinite(parseFloat(options.x)) ? parseFloat(options.x) : display.width - width - SIGNATURE_MARGIN;
+    const y = Number.isFinite(parseFloat(options.y)) ? parseFloat(options.y) : SIGNATURE_MARGIN + lines.length * lineHeight;
+
+    if (image) page.drawImage(image, { ...toPageSpace(page, x, y), width, height: imageHeight });
+    lines.forEach((line, i) => {
+      page.drawText(line, { ...toPageSpace(page, x, y - (i + 1) * lineHeight), size: fontSize, font, color: rgb(0, 0, 0) });
+    });
+  }
+
+  if (!certificate) {
+    fs.writeFileSync(outputPath, await pdf.save());
+    return { pages: indices.map(index => index + 1), digitallySigned: false };
+  }
+
+  pdflibAddPlaceholder({
+    pdfDoc: pdf,
+    reason: options.reason || '',
+    contactInfo: options.contactInfo || '',
+    name: certificate.commonName || options.name || '',
+    location: options.location || '',
+    signingTime: signedAt,
+    signatureLength: SIGNATURE_LENGTH,
+  });
+  // The placeholder is found by searching the raw file, which object streams would hide.
+  const unsigned = Buffer.from(await pdf.save({ useObjectStreams: false }));
+  const signer = new P12Signer(fs.readFileSync(options.certificatePath), { passphrase: options.certificatePassword || '' });
+  fs.writeFileSync(outputPath, await signpdf.sign(unsigned, signer, signedAt));
+
+  return {
+    pages: indices.map(index => index + 1),
+    digitallySigned: true,
+    signer: certificate,
+    signingTime: signedAt.toISOString(),
+  };
+}
+
+const SIGNER_REPORT = spec.object({
+  commonName: spec.string('Common name (CN) of the certificate.'),
+  validFrom: spec.string('Certificate validity start.', { format: 'date-time' }),
+  validTo: spec.string('Certificate validity end.', { format: 'date-time' }),
+});
+
+toolRoute('/sign-pdf', {
+  files: {
+    file: { accept: 'pdf' },
+    signature: { accept: 'image', required: false },
+    certificate: { accept: 'certificate', required: false },
+  },
+  summary: 'Stamp a handwritten signature, name and date, and optionally sign digitally with a PKCS#12 certificate.',
+  options: {
+    pages: spec.string('Pages to sign, e.g. "1,3-4" (default: the last page).'),
+    x: spec.number('Left edge of the signature in points (default: right-aligned).'),
+    y: spec.number('Bottom edge of the signature image in points (default: bottom margin).'),
+    width: spec.number('Width of the signature image in points.', { minimum: 10, maximum: 1000, default: 150 }),
+    name: spec.string('Name printed under the signature.'),
+    date: spec.boolean('Print the signing date (UTC) under the signature.', { default: false }),
+    fontSize: spec.number('Font size of the name and date.', { minimum: 4, maximum: 72, default: 10 }),
+    certificatePassword: spec.string('Password of the PKCS#12 certificate.'),
+    reason: spec.string('Reason stored in the digital signature.'),
+    location: spec.string('Location stored in the digital signature.'),
+    contactInfo: spec.string('Contact information stored in the digital signature.'),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    pages: spec.array(spec.integer('Page number.'), 'Pages the signature was stamped on.'),
+    digitallySigned: spec.boolean('Whether a digital signature was applied.'),
+    signer: SIGNER_REPORT,
+    signingTime: spec.string('Time in the digital signature.', { format: 'date-time' }),
+  },
+}, async (req, res) => {
+  const inputPath = req.files.file[0].path;
+  const signatureFile = req.files.signature?.[0];
+  const certificatePath = req.files.certificate?.[0]?.path;
+  const outputPath = path.join('compressed', `signed_${uniqueStamp()}.pdf`);
+
+  try {
+    if (signatureFile && !['png', 'jpeg'].includes(signatureFile.detectedType)) {
+      throw unsupportedFormat('The signature must be a PNG or JPG image.');
+    }
+    const result = await signPdf(inputPath, outputPath, {
+      ...req.body,
+      imagePath: signatureFile?.path,
+      imageType: signatureFile?.detectedType,
+      certificatePath,
+    });
+    const size = fs.statSync(outputPath).size;
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({ downloadUrl, size, ...result });
+  } catch (err) {
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    if (err.status) return sendFailure(res, err);
+    log.error('Sign PDF failed', errorFields(err));
+    sendFailure(res, err, 'Failed to sign PDF.');
+  } finally {
+    [inputPath, signatureFile?.path, certificatePath].forEach(p => p && fs.existsSync(p) && fs.unlinkSync(p));
+  }
+});
+
+/* ------------ VERIFY PDF SIGNATURE ------------ */
+// Checks every signature field: the CMS signature over the signed attributes, the
+// message digest against the bytes in /ByteRange, and whether the range reaches the
+// end of the file (if not, something was appended after signing, possibly by a later
+// signature). Certificates are reported, not checked against trusted roots.
+const CMS_DIGESTS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+function cmsTime(node) {
+  return node.type === forge.asn1.Type.UTCTIME
+    ? forge.asn1.utcTimeToDate(node.value)
+    : forge.asn1.generalizedTimeToDate(node.value);
+}
+
+// Pulls what verification needs out of a detached CMS SignedData (RFC 5652):
+// certificates, the first SignerInfo's digest algorithm, signed attributes and signature.
+function parseCmsSignature(der) {
+  const { Class, Type } = forge.asn1;
+  const derOf = node => Buffer.from(forge.asn1.toDer(node).getBytes(), 'binary');
+  // The /Contents placeholder is zero-padded past the end of the DER.
+  const contentInfo = forge.asn1.fromDer(der.toString('binary'), { parseAllBytes: false, decodeBitStrings: false });
+  const signedData = contentInfo.value[1].value[0].value;
+  const isContext = (node, tag) => node.tagClass === Class.CONTEXT_SPECIFIC && node.type === tag;
+
+  const certificates = (signedData.find(node => isContext(node, 0))?.value || [])
+    .map(node => new crypto.X509Certificate(derOf(node)));
+  const [, sid, digestAlgorithm, ...rest] = signedData[signedData.length - 1].value[0].value;
+  const signedAttrs = rest.find(node => isContext(node, 0));
+  const signature = rest.find(node => node.tagClass === Class.UNIVERSAL && node.type === Type.OCTETSTRING);
+
+  const attribute = oid => signedAttrs?.value
+    .find(attr => forge.asn1.derToOid(attr.value[0].value) === oid)?.value[1].value[0];
+  const messageDigest = attribute(forge.pki.oids.messageDigest);
+  const signingTime = attribute(forge.pki.oids.signingTime);
+
+  return {
+    certificates,
+    serialNumber: sid.type === Type.SEQUENCE ? forge.util.bytesToHex(sid.value[1].value) : null,
+    digest: forge.pki.oids[forge.asn1.derToOid(digestAlgorithm.value[0].value)],
+    // Signed attributes are signed as a SET, not with their [0] tag.
+    signedAttrs: signedAttrs && derOf(forge.asn1.create(Class.UNIVERSAL, Type.SET, true, signedAttrs.value)),
+    messageDigest: messageDigest && Buffer.from(messageDigest.value, 'binary'),
+    signingTime: signingTime ? cmsTime(signingTime) : null,
+    signature: Buffer.from(signature.value, 'binary'),
+  };
+}
+
+function verifySignatureField(fileBytes, fieldName, sig) {
+  const text = name => {
+    const value = sig.lookup(PDFName.of(name));
+    return value && typeof value.decodeText === 'function' ? value.decodeText() : null;
+  };
+  const report = {
+    field: fieldName,
+    subFilter: sig.lookup(PDFName.of('SubFilter'))?.decodeText() || null,
+    reason: text('Reason'),
+    location: text('Location'),
+  };
+
+  try {
+    const [start1, length1, start2, length2] = sig.lookup(PDFName.of('ByteRange')).asArray().map(n => n.asNumber());
+    const signedBytes = Buffer.concat([
+      fileBytes.subarray(start1, start1 + length1),
+      fileBytes.subarray(start2, start2 + length2),
+    ]);
+    const cms = parseCmsSignature(Buffer.from(sig.lookup(PDFName.of('Contents')).asBytes()));
+    if (!CMS_DIGESTS.includes(cms.digest)) throw new Error(`Unsupported digest algorithm ${cms.digest}.`);
+
+    // With signed attributes the signature covers them and they carry the file's digest;
+    // without, it covers the signed bytes directly.
+    const signedContent = cms.signedAttrs || signedBytes;
+    const serialOf = hex => BigInt(`0x${hex}`);
+    const candidates = cms.certificates.filter(cert => cms.serialNumber && serialOf(cert.serialNumber) === serialOf(cms.serialNumber));
+    const signerCert = [...candidates, ...cms.certificates]
+      .find(cert => crypto.verify(cms.digest, signedContent, cert.publicKey, cms.signature));
+    const certificate = signerCert || candidates[0] || cms.certificates[0];
+
+    const documentDigest = crypto.createHash(cms.digest).update(signedBytes).digest();
+    const documentIntact = cms.signedAttrs ? Boolean(cms.messageDigest?.equals(documentDigest)) : Boolean(signerCert);
+    const coversWholeDocument = start1 === 0 && start2 + length2 === fileBytes.length;
+    let signingTime = cms.signingTime;
+    if (!signingTime) {
+      try {
+        signingTime = sig.lookup(PDFName.of('M'))?.decodeDate() || null;
+      } catch {
+        signingTime = null;
+      }
+    }
+
+    return {
+      ...report,
+      signer: certificate && {
+        commonName: certificate.subject.match(/^CN=(.*)$/m)?.[1] || null,
+        subject: certificate.subject,
+        issuer: certificate.issuer,
+        serialNumber: certificate.serialNumber,
+        validFrom: new Date(certificate.validFrom).toISOString(),
+        validTo: new Date(certificate.validTo).toISOString(),
+      },
+      signingTime: signingTime && signingTime.toISOString(),
+      signatureValid: Boolean(signerCert),
+      documentIntact,
+      coversWholeDocument,
+      modifiedAfterSigning: !documentIntact || !coversWholeDocument,
+    };
+  } catch (err) {
+    log.warn('Signature could not be read', { field: fieldName, error: err.message });
+    return { ...report, error: 'The signature could not be read.', signatureValid: false };
+  }
+}
+
+async function verifyPdfSignatures(inputPath) {
+  const fileBytes = fs.readFileSync(inputPath);
+  const pdf = await PDFDocument.load(fileBytes, { updateMetadata: false });
+  return pdf.getForm().getFields()
+    .filter(field => field instanceof PDFSignature)
+    .map(field => [field.getName(), field.acroField.dict.lookupMaybe(PDFName.of('V'), PDFDict)])
+    .filter(([, sig]) => sig)
+    .map(([name, sig]) => verifySignatureField(fileBytes, name, sig));
+}
+
+toolRoute('/verify-pdf-signature', {
+  files: PDF_UPLOAD,
+  summary: 'Report the digital signatures of a PDF: signer, signing time and whether it changed after signing.',
+  response: {
+    signed: spec.boolean('Whether the PDF has at least one signature.'),
+    signatures: spec.array(spec.object({
+      field: spec.string('Signature field name.'),
+      subFilter: spec.string('Signature format, e.g. adbe.pkcs7.detached.'),
+      reason: spec.string('Reason given by the signer.'),
+      location: spec.string('Location given by the signer.'),
+      signer: spec.object({
+        commonName: spec.string('Common name (CN) of the signing certificate.'),
+        subject: spec.string('Certificate subject.'),
+        issuer: spec.string('Certificate issuer.'),
+        serialNumber: spec.string('Certificate serial number (hex).'),
+        validFrom: spec.string('Certificate validity start.', { format: 'date-time' }),
+        validTo: spec.string('Certificate validity end.', { format: 'date-time' }),
+      }),
+      signingTime: spec.string('Signing time claimed by the signature.', { format: 'date-time' }),
+      signatureValid: spec.boolean('Whether the signature matches the signing certificate.'),
+      documentIntact: spec.boolean('Whether the signed bytes are unchanged.'),
+      coversWholeDocument: spec.boolean('Whether the signature covers the whole file.'),
+      modifiedAfterSigning: spec.boolean('Whether the signed bytes changed or content was added after signing.'),
+      error: spec.string('Why the signature could not be checked.'),
+    }), 'One entry per signature field.'),
+  },
+}, async (req, res) => {
+  const inputPath = req.file.path;
+
+  try {
+    const signatures = await verifyPdfSignatures(inputPath);
+    res.json({ signed: signatures.length > 0, signatures });
+  } catch (err) {
+    log.error('Verify PDF signature failed', errorFields(err));
+    sendFailure(res, err, 'Failed to verify PDF signatures.');
+  } finally {
+    fs.unlinkSync(inputPath);
+  }
+});
+
+
+
+/* ------------ COMPRESS DOC OR PDF (LEGACY) ------------ */
+toolRoute('/compresss-pdf', {
+  files: DOCUMENT_UPLOAD,
+  maxFileSize: 50 * MB,
+  tools: ['gs', 'soffice'],
+  summary: 'Legacy: compress a PDF, or convert an Office file to PDF.',
+  options: { compression: spec.integer('Compression strength for PDFs.', { minimum: 1, maximum: 100, default: 60 }) },
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = path.resolve(req.file.path);
+  const ext = path.extname(req.file.originalname).toLowerCase();
+
+  if (['.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx'].includes(ext)) {
+    const outputFilename = `${path.basename(req.file.originalname, ext)}_${uniqueStamp()}.pdf`;
+    const outputPath = path.resolve('compressed', outputFilename);
+
+    let converted;
+    try {
+      converted = await sofficeConvert(inputPath, 'pdf');
+      fs.copyFileSync(converted.filePath, outputPath);
+    } catch (err) {
+      log.error('LibreOffice conversion failed', errorFields(err));
+      return sendFailure(res, err, 'File conversion failed.');
+    } finally {
+      fs.unlinkSync(inputPath);
+      if (converted) fs.rmSync(converted.workDir, { recursive: true, force: true });
+    }
+    const compressedSize = fs.statSync(outputPath).size;
+
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({
+      downloadUrl,
+      size: compressedSize,
+    });
+
+  } else if (req.file.detectedType === 'pdf') {
+    const outputFilename = `compressed_${uniqueStamp()}.pdf`;
+    const outputPath = path.resolve('compressed', outputFilename);
+    const compression = parseInt(req.body.compression) || 60;
+
+    let setting = '/ebook';
+    if (compression >= 80) setting = '/screen';
+    else if (compression >= 60) setting = '/ebook';
+    else if (compression >= 40) setting = '/printer';
+    else setting = '/prepress';
+
+    try {
+      await runCommand('gs', [
+        '-sDEVICE=pdfwrite', '-dCompatibilityLevel=1.4',
+        `-dPDFSETTINGS=${setting}`, '-dNOPAUSE', '-dQUIET', '-dBATCH',
+        `-sOutputFile=${outputPath}`, inputPath,
+      ]);
+    } catch (err) {
+      log.error('Ghostscript compression failed', errorFields(err));
+      return sendFailure(res, err, 'PDF compression failed.');
+    } finally {
+      fs.unlinkSync(inputPath);
+    }
+
+    const compressedSize = fs.statSync(outputPath).size;
+
+    const downloadUrl = await publishOutput(outputPath);
+    res.json({
+      downloadUrl,
+      size: compressedSize
+    });
+  } else {
+    fs.unlinkSync(inputPath);
+    sendError(res, 'UNSUPPORTED_FORMAT', 'Upload a PDF or an Office document.');
+  }
+});
+
+
+
+/* ------------ ROTATE OR DELETE PDF PAGES ------------ */
+// actions: [{ originalIndex, rotation }] in output order; pages left out are deleted
+async function rotatePdf(inputPath, outputPath, actions) {
+  const originalPdf = await PDFDocument.load(fs.readFileSync(inputPath));
+  const newPdf = await PDFDocument.create();
+
+  for (const { originalIndex, rotation } of actions) {
+    log.debug('Copying page', { page: originalIndex, rotation });
+
+    if (originalIndex >= originalPdf.getPageCount()) {
+      log.warn('Invalid page index', { page: originalIndex });
+      continue;
+    }
+
+    // ✅ Correct destination.copyPages(source, [index])
+    const [copiedPage] = await newPdf.copyPages(originalPdf, [originalIndex]);
+
+    const angle = (rotation % 360 + 360) % 360;
+    if (angle !== 0) {
+      copiedPage.setRotation(degrees(angle));
+    }
+
+    newPdf.addPage(copiedPage);
+  }
 
-    if (err) {
-      console.error('QPDF error:', stderr);
-      return res.status(500).send('PDF protection failed.');
-    }
+  const pdfBytes = await newPdf.save();
 
-    const size = fs.statSync(outputPath).size;
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      size,
-    });
-  });
-});
+  if (!pdfBytes || pdfBytes.length === 0) {
+    throw new Error("❌ PDF save failed, empty buffer.");
+  }
 
-/* ------------ ORGANIZE PDF PAGES ------------ */
-app.post('/organize-pdf', upload.single('originalPdf'), async (req, res) => {
-  const inputPath = req.file?.path;
-  const outputFilename = `organized_${Date.now()}.pdf`;
+  fs.writeFileSync(outputPath, pdfBytes);
+  return pdfBytes.length;
+}
+
+toolRoute('/rotate-pdf', {
+  files: { originalPdf: { accept: 'pdf' } },
+  summary: 'Rotate and reorder pages.',
+  options: { actions: spec.json('Array of { originalIndex, rotation } in the new page order.') },
+  response: OUTPUT_FILE,
+}, async (req, res) => {
+  const inputPath = req.file.path;
+  const outputFilename = `rotated_${uniqueStamp()}.pdf`;
   const outputPath = path.join('compressed', outputFilename);
 
-  try {
-    if (!inputPath || !req.body.actions) {
-      return res.status(400).json({ error: 'Missing file or actions.' });
-    }
+  log.debug('Rotate request', { file: inputPath, actions: req.body.actions });
 
-    const actions = JSON.parse(req.body.actions); // [0, 2, 'blank', 1]
-    const originalPdf = await PDFDocument.load(fs.readFileSync(inputPath));
-    const newPdf = await PDFDocument.create();
+  let actions;
+  try {
+    actions = parsePageActions(req.body.actions);
+  } catch (err) {
+    fs.unlinkSync(inputPath);
+    return sendError(res, 'INVALID_INPUT', err.message);
+  }
 
-    for (let action of actions) {
-      if (action === 'blank') {
-        const blankPage = newPdf.addPage();
-        blankPage.drawText('');
-      } else {
-        const [copiedPage] = await newPdf.copyPages(originalPdf, [action]);
-        newPdf.addPage(copiedPage);
-      }
-    }
+  try {
+    log.debug('Parsed rotate actions', { actions });
 
-    const pdfBytes = await newPdf.save();
-    fs.writeFileSync(outputPath, pdfBytes);
+    const size = await rotatePdf(inputPath, outputPath, actions);
     fs.unlinkSync(inputPath);
 
+    log.debug('Rotated PDF created', { outputPath });
+
+    const downloadUrl = await publishOutput(outputPath);
     res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      size: pdfBytes.length
+      downloadUrl,
+      size
     });
+
   } catch (err) {
-    console.error('Organize PDF Error:', err);
+    log.error('Rotate PDF failed', errorFields(err));
     if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    res.status(500).json({ error: 'Failed to organize PDF.' });
+    sendFailure(res, err, 'Failed to rotate PDF.');
   }
 });
 
-/* ------------ PDF TO JPG (ZIP) ------------ */
-app.post('/pdf-to-jpg', upload.single('file'), (req, res) => {
-  const inputPath = req.file.path;
-  const outputDir = path.join('compressed', `jpgs_${Date.now()}`);
-  const zipName = `converted_${Date.now()}.zip`;
-  const zipPath = path.join('compressed', zipName);
 
-  if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir);
 
-  const cmd = `pdftoppm "${inputPath}" "${outputDir}/page" -jpeg`;
 
-  exec(cmd, async (err, stdout, stderr) => {
-    fs.unlinkSync(inputPath);
+/* ------------ REDACT PDF ------------ */
+// Removes content for good: every page with something to redact is rendered with
+// pdftoppm, blacked out and put back as an image, so no text, vector or image data
+// survives under the boxes. The other pages are copied as they are and keep their
+// text. Outlines and document metadata are dropped, as they may quote redacted text.
+//   regions:  JSON [{ page, x, y, width, height }] in points, origin at the bottom-left
+//             of the page as displayed (the space the stamping tools use)
+//   terms:    JSON array of words or phrases
+//   patterns: JSON array of regular expressions (JavaScript syntax)
+//   presets:  comma-separated built-in patterns: email, phone, iban
+// Words and their boxes come from pdftotext -bbox; a match blacks out every word it
+// touches. The report lists each match with its page, rule and boxes.
+const MAX_REDACT_TERMS = 100;
+const MAX_REDACT_PATTERNS = 20;
+const MAX_REDACT_REGIONS = 500;
+const MAX_PATTERN_LENGTH = 200;
+// User patterns run in a vm context, so a pattern that backtracks forever is cut off.
+// Each run gets PATTERN_TIMEOUT_MS, and all runs of one request share PATTERN_BUDGET_MS
+// of matching time so many pages times many slow patterns cannot hold the event loop
+// either.
+const PATTERN_TIMEOUT_MS = 1000;
+const PATTERN_BUDGET_MS = 5000;
+const PATTERN_SCRIPT = new vm.Script(
+  '[...text.matchAll(new RegExp(source, flags))].filter(m => m[0]).map(m => [m.index, m.index + m[0].length])',
+);
+// Extra margin around matched words, in points, so ascenders and descenders go too.
+const REDACT_PADDING = 1;
+
+const REDACT_PRESETS = {
+  email: { pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+  // 7-15 digits (the E.164 maximum) with the usual separators; dates are left alone.
+  phone: {
+    pattern: /(?:\+|\()?\b\d[\d ().\/-]{5,}\d\b/g,
+    accept: text => {
+      const digits = text.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 && !/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(text);
+    },
+  },
+  iban: { pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, accept: isValidIban },
+};
+
+// ISO 13616 check: move the first four characters to the end, turn letters into
+// 10-35 and the number must leave 1 modulo 97.
+function isValidIban(text) {
+  const iban = text.replace(/ /g, '');
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseJsonList(raw, name) {
+  if (raw === undefined || raw === '') return [];
+  let list;
+  try {
+    list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    throw invalidInput(`${name} must be valid JSON.`);
+  }
+  if (!Array.isArray(list)) throw invalidInput(`${name} must be a JSON array.`);
+  return list;
+}
+
+function spansOf(pattern, text) {
+  return [...text.matchAll(pattern)].filter(match => match[0]).map(match => [match.index, match.index + match[0].length]);
+}
+
+// `sandbox` is { context, remainingMs }, created once per request and shared by every
+// pattern run, so only matching counts against the budget.
+function sandboxedSpans(source, flags, text, sandbox) {
+  const tooSlow = () => invalidInput('The patterns take too long to evaluate on this document.');
+  const timeout = Math.min(PATTERN_TIMEOUT_MS, Math.floor(sandbox.remainingMs));
+  if (timeout < 1) throw tooSlow();
+
+  Object.assign(sandbox.context, { text, source, flags });
+  const startedAt = Date.now();
+  try {
+    return PATTERN_SCRIPT.runInContext(sandbox.context, { timeout });
+  } catch (err) {
+    if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+    throw timeout < PATTERN_TIMEOUT_MS ? tooSlow() : invalidInput(`Pattern ${source} takes too long to evaluate.`);
+  } finally {
+    sandbox.remainingMs -= Date.now() - startedAt;
+  }
+}
+
+// Turns the request options into { regions, rules, dpi }; each rule has a `name`, the
+// `query` it came from and `find(text)` returning [start, end] spans.
+function parseRedactOptions(body) {
+  const flags = body.caseSensitive === 'true' ? 'g' : 'gi';
+  const dpi = parseInt(body.dpi) || 150;
+  if (dpi < 72 || dpi > 300) throw invalidInput('DPI must be between 72 and 300.');
+
+  const regions = parseJsonList(body.regions, 'Regions');
+  if (regions.length > MAX_REDACT_REGIONS) throw invalidInput(`At most ${MAX_REDACT_REGIONS} regions are allowed.`);
+  regions.forEach((region, index) => {
+    const valid = Number.isInteger(region?.page) && region.page >= 1 &&
+      ['x', 'y', 'width', 'height'].every(key => Number.isFinite(region[key])) &&
+      region.width > 0 && region.height > 0;
+    if (!valid) throw invalidInput(`Region ${index + 1} needs a page number and a positive x, y, width and height.`);
+  });
 
-    if (err) {
-      console.error('PDF to JPG Error:', stderr);
-      return res.status(500).send('Conversion failed.');
+  const terms = parseJsonList(body.terms, 'Terms');
+  if (terms.length > MAX_REDACT_TERMS) throw invalidInput(`At most ${MAX_REDACT_TERMS} terms are allowed.`);
+  const patterns = parseJsonList(body.patterns, 'Patterns');
+  if (patterns.length > MAX_REDACT_PATTERNS) throw invalidInput(`At most ${MAX_REDACT_PATTERNS} patterns are allowed.`);
+  const presets = String(body.presets || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+  const rules = [];
+  for (const term of terms) {
+    if (typeof term !== 'string' || !term.trim()) throw invalidInput('Terms must be non-empty strings.');
+    // Page text joins words with single spaces, so any run of whitespace matches one.
+    const pattern = new RegExp(term.trim().split(/\s+/).map(escapeRegExp).join(' '), flags);
+    rules.push({ name: 'term', query: term, find: text => spansOf(pattern, text) });
+  }
+  const patternSandbox = { context: vm.createContext({}), remainingMs: PATTERN_BUDGET_MS };
+  for (const source of patterns) {
+    if (typeof source !== 'string' || !source || source.length > MAX_PATTERN_LENGTH) {
+      throw invalidInput(`Patterns must be non-empty strings of at most ${MAX_PATTERN_LENGTH} characters.`);
+    }
+    try {
+      new RegExp(source, flags);
+    } catch {
+      throw invalidInput(`Invalid pattern: ${source}`);
     }
+    rules.push({ name: 'pattern', query: source, find: text => sandboxedSpans(source, flags, text, patternSandbox) });
+  }
+  for (const name of presets) {
+    const preset = REDACT_PRESETS[name];
+    if (!preset) throw invalidInput(`Presets must be among: ${Object.keys(REDACT_PRESETS).join(', ')}.`);
+    rules.push({ name, query: name, accept: preset.accept, find: text => spansOf(preset.pattern, text) });
+  }
 
-    const output = fs.createWriteStream(zipPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
+  if (rules.length === 0 && regions.length === 0) throw invalidInput('Provide regions, terms, patterns or presets to redact.');
+  return { regions, rules, dpi };
+}
+
+function decodeXmlText(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => entities[name]);
+}
+
+// pdftotext -bbox writes XHTML with one <page width height> per page and one
+// <word xMin yMin xMax yMax> per word, in points from the top-left of the displayed page.
+async function pdfWordBoxes(inputPath, workDir, job) {
+  const htmlPath = path.join(workDir, 'words.html');
+  await runCommand('pdftotext', ['-bbox', '-enc', 'UTF-8', inputPath, htmlPath], job);
+
+  const attribute = (attrs, name) => parseFloat(attrs.match(new RegExp(`${name}="([^"]*)"`))[1]);
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  return [...html.matchAll(/<page ([^>]*)>([\s\S]*?)<\/page>/g)].map(([, pageAttrs, body]) => ({
+    width: attribute(pageAttrs, 'width'),
+    height: attribute(pageAttrs, 'height'),
+    words: [...body.matchAll(/<word ([^>]*)>([^<]*)<\/word>/g)].map(([, attrs, text]) => ({
+      xMin: attribute(attrs, 'xMin'),
+      yMin: attribute(attrs, 'yMin'),
+      xMax: attribute(attrs, 'xMax'),
+      yMax: attribute(attrs, 'yMax'),
+      text: decodeXmlText(text),
+    })),
+  }));
+}
+
+// Runs every rule over one page and returns { rule, query, text, boxes } per match,
+// boxes in top-left points. Words of one match on the same line become one box.
+function findRedactions(words, rules) {
+  let text = '';
+  const starts = [];
+  words.forEach((word, index) => {
+    if (index > 0) text += ' ';
+    starts.push(text.length);
+    text += word.text;
+  });
 
-    output.on('close', () => {
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${zipName}`,
-        size: fs.statSync(zipPath).size
+  const matches = [];
+  for (const rule of rules) {
+    for (const [start, end] of rule.find(text)) {
+      const matched = text.slice(start, end);
+      if (rule.accept && !rule.accept(matched)) continue;
+
+      const boxes = [];
+      words.forEach((word, index) => {
+        if (starts[index] >= end || starts[index] + word.text.length <= start) return;
+        const last = boxes[boxes.length - 1];
+        const sameLine = last && Math.abs(last.yMin - word.yMin) < (word.yMax - word.yMin) / 2 && word.xMin >= last.xMin;
+        if (sameLine) {
+          last.xMax = Math.max(last.xMax, word.xMax);
+          last.yMin = Math.min(last.yMin, word.yMin);
+          last.yMax = Math.max(last.yMax, word.yMax);
+        } else {
+          boxes.push({ xMin: word.xMin, yMin: word.yMin, xMax: word.xMax, yMax: word.yMax });
+        }
       });
+      matches.push({ rule: rule.name, query: rule.query, text: matched, boxes });
+    }
+  }
+  return matches;
+}
+
+// Top-left box -> { x, y, width, height } with a bottom-left origin, as regions are given.
+function reportBox(box, pageHeight) {
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    x: round(box.xMin),
+    y: round(pageHeight - box.yMax),
+    width: round(box.xMax - box.xMin),
+    height: round(box.yMax - box.yMin),
+  };
+}
+
+async function redactPdf(inputPath, outputPath, { regions, rules, dpi }, job) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redact_'));
+  try {
+    const pages = await pdfWordBoxes(inputPath, workDir, job);
+    const outside = regions.find(region => region.page > pages.length);
+    if (outside) throw invalidInput(`Region on page ${outside.page}, but the PDF has ${pages.length} pages.`);
+
+    const matches = [];
+    const boxesByPage = new Map();
+    const addBox = (index, box) => boxesByPage.set(index, [...(boxesByPage.get(index) || []), box]);
+
+    pages.forEach((page, index) => {
+      for (const match of findRedactions(page.words, rules)) {
+        match.boxes.forEach(box => addBox(index, {
+          xMin: box.xMin - REDACT_PADDING,
+          yMin: box.yMin - REDACT_PADDING,
+          xMax: box.xMax + REDACT_PADDING,
+          yMax: box.yMax + REDACT_PADDING,
+        }));
+        matches.push({ page: index + 1, ...match, boxes: match.boxes.map(box => reportBox(box, page.height)) });
+      }
     });
+    for (const region of regions) {
+      const { height } = pages[region.page - 1];
+      addBox(region.page - 1, {
+        xMin: region.x,
+        yMin: height - region.y - region.height,
+        xMax: region.x + region.width,
+        yMax: height - region.y,
+      });
+    }
 
-    archive.on('error', err => {
-      console.error('Zip Error:', err);
-      res.status(500).send('Failed to zip images.');
-    });
+    const redactedIndices = [...boxesByPage.keys()].sort((a, b) => a - b);
+    const images = new Map();
+    if (redactedIndices.length > 0) {
+      const rendered = await rasterizePdf(inputPath, workDir, { format: 'png', dpi, ranges: indexRanges(redactedIndices) }, job);
+      for (const pngPath of rendered) {
+        const index = renderedPageNumber(pngPath) - 1;
+        const { width, height } = await sharp(pngPath).metadata();
+        const scale = width / pages[index].width;
+        const rects = boxesByPage.get(index).map(box =>
+          `<rect x="${box.xMin * scale}" y="${box.yMin * scale}" width="${(box.xMax - box.xMin) * scale}" height="${(box.yMax - box.yMin) * scale}"/>`);
+        const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${rects.join('')}</svg>`);
+
+        const jpgPath = pngPath.replace(/\.png$/, '.jpg');
+        await sharp(pngPath).composite([{ input: overlay, top: 0, left: 0 }]).jpeg({ quality: 90 }).toFile(jpgPath);
+        images.set(index, { path: jpgPath, dpi });
+      }
+    }
 
-    archive.pipe(output);
-    archive.directory(outputDir, false);
-    archive.finalize();
-  });
+    const source = await PDFDocument.load(fs.readFileSync(inputPath));
+    const output = await replacePagesWithImages(source, images);
+    fs.writeFileSync(outputPath, await output.save());
+
+    return { redactedPages: redactedIndices.map(index => index + 1), matches };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+const REDACT_BOX = spec.object({
+  x: spec.number('Left edge in points.'),
+  y: spec.number('Bottom edge in points.'),
+  width: spec.number('Width in points.'),
+  height: spec.number('Height in points.'),
 });
 
-app.post('/compress-doc', upload.single('file'), (req, res) => {
+toolRoute('/redact-pdf', {
+  files: PDF_UPLOAD,
+  maxPages: MAX_RASTER_PAGES,
+  tools: ['poppler'],
+  async: true,
+  summary: 'Permanently remove text and regions; redacted pages are flattened to images.',
+  options: {
+    regions: spec.json('Array of { page, x, y, width, height } in points, origin at the bottom-left of the displayed page.'),
+    terms: spec.json('Array of words or phrases to redact.'),
+    patterns: spec.json('Array of regular expressions (JavaScript syntax) to redact.'),
+    presets: spec.string(`Comma-separated built-in patterns: ${Object.keys(REDACT_PRESETS).join(', ')}.`),
+    caseSensitive: spec.boolean('Match terms and patterns case-sensitively.', { default: false }),
+    dpi: spec.integer('Resolution of the flattened pages.', { minimum: 72, maximum: 300, default: 150 }),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    redactedPages: spec.array(spec.integer('Page number.'), 'Pages that were flattened.'),
+    matches: spec.array(spec.object({
+      page: spec.integer('Page number.'),
+      rule: spec.string('term, pattern or the preset name.'),
+      query: spec.string('The term, pattern or preset that matched.'),
+      text: spec.string('Matched text.'),
+      boxes: spec.array(REDACT_BOX, 'Areas blacked out for this match.'),
+    }), 'Every text match, in page order.'),
+  },
+}, (req, res) => {
   const inputPath = req.file.path;
-  const ext = path.extname(req.file.originalname).toLowerCase();
+  const outputPath = path.join('compressed', `redacted_${uniqueStamp()}.pdf`);
 
-  if (['.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx'].includes(ext)) {
-    const outputFilename = path.basename(req.file.originalname, ext) + '.pdf';
-    const outputPath = path.resolve('compressed', outputFilename);
-    const file = fs.readFileSync(inputPath);
+  let options;
+  try {
+    options = parseRedactOptions(req.body);
+  } catch (err) {
+    fs.unlinkSync(inputPath);
+    return sendFailure(res, err);
+  }
 
-    libre.convert(file, '.pdf', undefined, (err, done) => {
+  runTool(req, res, { tool: 'redact-pdf', failMessage: 'PDF redaction failed.' }, async (job) => {
+    let report;
+    try {
+      report = await redactPdf(inputPath, outputPath, options, job);
+    } catch (err) {
+      if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+      throw err;
+    } finally {
       fs.unlinkSync(inputPath);
-      if (err) {
-        console.error('LibreOffice Convert Error:', err);
-        return res.status(500).send('File conversion failed.');
-      }
-      fs.writeFileSync(outputPath, done);
-      const compressedSize = fs.statSync(outputPath).size;
-
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-        size: compressedSize,
-      });
-    });
+    }
 
-  } else {
-    return res.status(400).send('Unsupported file format.');
-  }
+    const size = fs.statSync(outputPath).size;
+    return {
+      downloadUrl: await publishOutput(outputPath, job),
+      size,
+      ...report,
+    };
+  });
 });
 
 
 
+/* ------------ PIPELINE (CHAIN PDF TOOLS) ------------ */
+// Runs several PDF tools server-side on one upload. `steps` is a JSON list such as
+//   [{ "tool": "merge" }, { "tool": "organize", "options": { "actions": [2, 0, 1] } },
+//    { "tool": "compress", "options": { "compression": 70 } },
+//    { "tool": "protect", "options": { "password": "secret" } }]
+// Each step reads the previous step's output; only the final file is published.
+const MAX_PIPELINE_STEPS = 10;
 
-/ * ------------ ADD PAGE NUMBERS TO PDF ------------ */
-app.post('/compresss-pdf', upload.single('file'), (req, res) => {
-  const inputPath = path.resolve(req.file.path);
-  const ext = path.extname(req.file.originalname).toLowerCase();
+const pipelineTools = {
+  merge: {
+    multiInput: true,
+    run: (inputPaths, outputPath) => mergePdfs(inputPaths, outputPath),
+  },
+  organize: {
+    validate: options => Array.isArray(options.actions) || 'organize needs an "actions" array.',
+    run: (inputPath, outputPath, options) => organizePdf(inputPath, outputPath, options.actions),
+  },
+  rotate: {
+    validate: options => Array.isArray(options.actions) || 'rotate needs an "actions" array.',
+    run: (inputPath, outputPath, options) => rotatePdf(inputPath, outputPath, options.actions),
+  },
+  'page-numbers': {
+    run: (inputPath, outputPath, options) => addPageNumbers(inputPath, outputPath, options),
+  },
+  watermark: {
+    validate: options => Boolean(options.text) || 'watermark needs "text".',
+    run: (inputPath, outputPath, options) => watermarkPdf(inputPath, outputPath, { ...options, logoPath: undefined }),
+  },
+  compress: {
+    run: (inputPath, outputPath, options, job) =>
+      compressPdf(inputPath, outputPath, { compression: parseInt(options.compression) || 60 }, job),
+  },
+  protect: {
+    // Later steps could not open the encrypted result, so protect has to come last.
+    last: true,
+    validate: options => Boolean(options.password || options.ownerPassword) || 'protect needs a "password".',
+    run: (inputPath, outputPath, options, job) => protectPdf(inputPath, outputPath, options, job),
+  },
+  unlock: {
+    run: (inputPath, outputPath, options, job) => unlockPdf(inputPath, outputPath, options, job),
+  },
+};
 
-  if (['.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx'].includes(ext)) {
-    const outputFilename = path.basename(req.file.originalname, ext) + '.pdf';
-    const outputPath = path.resolve('compressed', outputFilename);
-    const file = fs.readFileSync(inputPath);
+function parsePipelineSteps(rawSteps, fileCount) {
+  let steps;
+  try {
+    steps = typeof rawSteps === 'string' ? JSON.parse(rawSteps) : rawSteps;
+  } catch {
+    throw new Error('Steps must be valid JSON.');
+  }
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error('Provide at least one step.');
+  if (steps.length > MAX_PIPELINE_STEPS) throw new Error(`A pipeline can have at most ${MAX_PIPELINE_STEPS} steps.`);
 
-    libre.convert(file, '.pdf', undefined, (err, done) => {
-      fs.unlinkSync(inputPath);
-      if (err) {
-        console.error('LibreOffice Convert Error:', err);
-        return res.status(500).send('File conversion failed.');
-      }
-      fs.writeFileSync(outputPath, done);
-      const compressedSize = fs.statSync(outputPath).size;
+  const parsed = steps.map((step, index) => {
+    const tool = pipelineTools[step?.tool];
+    const label = `Step ${index + 1}`;
+    if (!tool) throw new Error(`${label}: unknown tool "${step?.tool}". Use one of: ${Object.keys(pipelineTools).join(', ')}.`);
+    if (tool.multiInput && index > 0) throw new Error(`${label}: ${step.tool} can only be the first step.`);
+    if (tool.last && index < steps.length - 1) throw new Error(`${label}: ${step.tool} must be the last step.`);
 
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-        size: compressedSize,
-      });
-    });
+    const options = step.options || {};
+    const valid = tool.validate ? tool.validate(options) : true;
+    if (valid !== true) throw new Error(`${label}: ${valid}`);
 
-  } else {
-    const outputFilename = `compressed_${Date.now()}.pdf`;
-    const outputPath = path.resolve('compressed', outputFilename);
-    const compression = parseInt(req.body.compression) || 60;
+    return { tool: step.tool, options };
+  });
 
-    let setting = '/ebook';
-    if (compression >= 80) setting = '/screen';
-    else if (compression >= 60) setting = '/ebook';
-    else if (compression >= 40) setting = '/printer';
-    else setting = '/prepress';
+  if (!pipelineTools[parsed[0].tool].multiInput && fileCount !== 1) {
+    throw new Error('Upload exactly one PDF file, or start the pipeline with merge.');
+  }
+  return parsed;
+}
+
+toolRoute('/pipeline', {
+  files: { files: { accept: 'pdf', max: MAX_PDF_FILES } },
+  tools: ['gs', 'qpdf', 'poppler'],
+  async: true,
+  summary: 'Run several PDF tools in a row on one upload.',
+  options: { steps: spec.json(`Array of { tool, options } with tool one of: ${Object.keys(pipelineTools).join(', ')}.`) },
+  response: {
+    ...SIZE_REPORT,
+    steps: spec.array(spec.object({}), 'Size before and after each step.'),
+  },
+}, (req, res) => {
+  const files = req.files;
+  const inputPaths = files.map(file => file.path);
 
-    // Escape paths for Windows and quote them
-    const escapedInput = inputPath.replace(/\\/g, '\\\\');
-    const escapedOutput = outputPath.replace(/\\/g, '\\\\');
+  let steps;
+  try {
+    steps = parsePipelineSteps(req.body.steps, files.length);
+  } catch (err) {
+    inputPaths.forEach(p => fs.unlinkSync(p));
+    return sendError(res, 'INVALID_INPUT', err.message);
+  }
 
-    const gsCmd = `"C:\\Program Files\\gs\\gs10.05.1\\bin\\gswin64c.exe" -sDEVICE=pdfwrite -dCompatibilityLevel=1.4 \
--dPDFSETTINGS=${setting} -dNOPAUSE -dQUIET -dBATCH -sOutputFile="${escapedOutput}" "${escapedInput}"`;
+  runTool(req, res, {
+    tool: 'pipeline',
+    failMessage: err => err.step ? `Pipeline failed at step ${err.step} (${err.tool}).` : 'Pipeline failed.',
+  }, async (job) => {
+    const workDir = fs.mkdtempSync(path.join('uploads', 'pipeline_'));
+    const sizeOf = paths => paths.reduce((total, p) => total + fs.statSync(p).size, 0);
+    const originalSize = sizeOf(inputPaths);
+    const stepStats = [];
 
-    console.log('Ghostscript command:', gsCmd);
+    try {
+      let current = inputPaths;
+
+      for (const [index, step] of steps.entries()) {
+        const tool = pipelineTools[step.tool];
+        const stepOutput = path.join(workDir, `step_${index + 1}_${step.tool}.pdf`);
+        const inputSize = sizeOf(current);
+        const startedAt = Date.now();
+
+        try {
+          await tool.run(tool.multiInput ? current : current[0], stepOutput, step.options, job);
+        } catch (err) {
+          err.step = index + 1;
+          err.tool = step.tool;
+          throw err;
+        }
 
-    exec(gsCmd, (err, stdout, stderr) => {
-      fs.unlinkSync(inputPath);
-      if (err) {
-        console.error('Ghostscript error:', stderr || err);
-        return res.status(500).send('PDF compression failed.');
+        const outputSize = fs.statSync(stepOutput).size;
+        log.info('Pipeline step done', { step: index + 1, tool: step.tool, inputSize, outputSize });
+        stepStats.push({
+          step: index + 1,
+          tool: step.tool,
+          inputSize,
+          outputSize,
+          durationMs: Date.now() - startedAt,
+        });
+        current = [stepOutput];
       }
 
-      const compressedSize = fs.statSync(outputPath).size;
+      const outputPath = path.join('compressed', `pipeline_${uniqueStamp()}.pdf`);
+      fs.renameSync(current[0], outputPath);
 
-      res.json({
-        downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-        size: compressedSize
-      });
-    });
-  }
+      const finalSize = fs.statSync(outputPath).size;
+      const downloadUrl = await publishOutput(outputPath, job);
+      return {
+        downloadUrl,
+        originalSize,
+        finalSize,
+        compressionPercent: Math.round((1 - finalSize / originalSize) * 100),
+        steps: stepStats,
+      };
+    } finally {
+      inputPaths.forEach(p => fs.existsSync(p) && fs.unlinkSync(p));
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  });
 });
 
 
 
-/* ------------ ROTATE OR DELETE PDF PAGES ------------ */
-/* ------------ ROTATE OR DELETE PDF PAGES ------------ */
-app.post('/rotate-pdf', upload.single('originalPdf'), async (req, res) => {
-  const inputPath = req.file?.path;
-  const outputFilename = `rotated_${Date.now()}.pdf`;
-  const outputPath = path.join('compressed', outputFilename);
 
-  console.log("📥 File received:", inputPath);
-  console.log("📨 Raw actions:", req.body.actions);
+/* ------------ BATCH PROCESSING ------------ */
+// POST /<tool>/batch takes up to MAX_BATCH_FILES uploads as `files` with the options of
+// the single-file route, runs BATCH_CONCURRENCY of them at a time and answers with one
+// ZIP plus a report per file. A file that fails is reported with its error code and
+// left out of the ZIP; the others carry on. A batch counts as BATCH_COST_FACTOR
+// requests of the single tool against the rate limit.
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || MAX_PDF_FILES;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 2;
+const BATCH_COST_FACTOR = 3;
+
+// `prepare(body)` checks the shared options once, before any file is processed.
+// `run(inputPath, outputPath, options, job, file)` writes one PDF and resolves with
+// extra report fields, described by `report`.
+const batchTools = {
+  'compress-pdf': {
+    failMessage: 'PDF compression failed.',
+    prepare: body => ({ compression: parseInt(body.compression) || 60 }),
+    run: async (inputPath, outputPath, options, job) => ({ method: await compressPdf(inputPath, outputPath, options, job) }),
+    report: { method: spec.oneOf(['standard', 'extreme'], 'How the PDF was compressed.') },
+  },
+  'convert-to-pdf': {
+    failMessage: 'File conversion failed.',
+    run: (inputPath, outputPath, options, job) => convertToPdfFile(inputPath, outputPath, job),
+  },
+  'compress-doc': {
+    failMessage: 'File conversion failed.',
+    run: (inputPath, outputPath, options, job, file) => {
+      if (!OFFICE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+        throw unsupportedFormat('Unsupported file format.');
+      }
+      return convertToPdfFile(inputPath, outputPath, job);
+    },
+  },
+  'protect-pdf': {
+    failMessage: 'PDF protection failed.',
+    prepare: body => {
+      checkProtectOptions(body);
+      return body;
+    },
+    run: async (inputPath, outputPath, options, job) => ({ restrictions: await protectPdf(inputPath, outputPath, options, job) }),
+    report: { restrictions: spec.array(spec.string('Restriction option.'), 'Restrictions applied.') },
+  },
+  'make-searchable': {
+    failMessage: 'Making searchable PDF failed.',
+    // The recognised text is a per-file extra the ZIP has no place for.
+    exclude: ['text'],
+    prepare: body => parseOcrOptions({ ...body, text: null }),
+    run: (inputPath, outputPath, options, job) => ocrPdf(inputPath, outputPath, options, job),
+  },
+};
 
+async function convertToPdfFile(inputPath, outputPath, job) {
+  const converted = await sofficeConvert(inputPath, 'pdf', job);
   try {
-    if (!inputPath || !req.body.actions) {
-      console.log("❌ Missing file or actions");
-      return res.status(400).json({ error: 'Missing file or actions.' });
+    fs.copyFileSync(converted.filePath, outputPath);
+  } finally {
+    fs.rmSync(converted.workDir, { recursive: true, force: true });
+  }
+}
+
+// Calls `worker(item, index)` for every item, at most `limit` at a time.
+async function forEachLimit(items, limit, worker) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+}
+
+// Tools report their own progress to this view of the job, which has no listeners,
+// so the event stream only carries per-file progress. Cancelling still reaches them.
+function quietJob(job) {
+  return job && Object.create(job, { streams: { value: new Set() } });
+}
+
+function batchResponse(report = {}) {
+  return {
+    downloadUrl: spec.string('Download link for the ZIP of every file that succeeded; null when none did.', { format: 'uri' }),
+    originalSize: spec.integer('Total input size in bytes.'),
+    finalSize: spec.integer('Size of the ZIP in bytes.'),
+    compressionPercent: spec.integer('How much smaller the ZIP is than the inputs, in percent.'),
+    succeeded: spec.integer('Files processed.'),
+    failed: spec.integer('Files that failed.'),
+    files: spec.array(spec.object({
+      file: spec.string('Uploaded file name.'),
+      name: spec.string('File name inside the ZIP (null when the file failed).'),
+      originalSize: SIZE_REPORT.originalSize,
+      finalSize: spec.integer('Output size in bytes (null when the file failed).'),
+      compressionPercent: spec.integer('How much smaller the output is, in percent (null when the file failed).'),
+      error: spec.object({ code: spec.string('Error code.'), message: spec.string('Error message.') }, 'Why the file failed, or null.'),
+      ...report,
+    }), 'One entry per upload, in upload order.'),
+  };
+}
+
+function batchRoute(tool, { failMessage, prepare = () => ({}), run, report, exclude = [] }) {
+  const single = toolRoutes.find(route => route.path === `/${tool}`);
+  const options = Object.fromEntries(Object.entries(single.options || {}).filter(([name]) => !exclude.includes(name)));
+
+  toolRoute(`/${tool}/batch`, {
+    files: { files: { accept: single.files.file.accept, max: MAX_BATCH_FILES } },
+    maxFileSize: single.maxFileSize,
+    maxPages: single.maxPages,
+    tools: single.tools,
+    cost: single.cost * BATCH_COST_FACTOR,
+    async: true,
+    summary: `Batch version of /${tool}: many files with the same options, returned as one ZIP.`,
+    options,
+    response: batchResponse(report),
+  }, async (req, res) => {
+    const files = req.files;
+
+    let toolOptions;
+    try {
+      toolOptions = await prepare(req.body);
+    } catch (err) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      if (!err.status) log.error(`${tool} batch failed`, errorFields(err));
+      return sendFailure(res, err, failMessage);
     }
 
-    const actions = typeof req.body.actions === 'string' 
-      ? JSON.parse(req.body.actions)
-      : req.body.actions;
-
-    console.log("✅ Parsed actions:", actions);
+    runTool(req, res, { tool: `${tool}-batch`, failMessage: 'Batch processing failed.' }, async (job) => {
+      const workDir = fs.mkdtempSync(path.join('compressed', 'batch_'));
+      const toolJob = quietJob(job);
+      const entries = [];
+      let filesDone = 0;
+
+      try {
+        await forEachLimit(files, BATCH_CONCURRENCY, async (file, index) => {
+          const outputPath = path.join(workDir, `${index + 1}.pdf`);
+          const entry = { file: file.originalname, name: null, originalSize: file.size };
+          try {
+            const details = await run(file.path, outputPath, toolOptions, toolJob, file);
+            const finalSize = fs.statSync(outputPath).size;
+            entries[index] = {
+              ...entry,
+              finalSize,
+              compressionPercent: Math.round((1 - finalSize / file.size) * 100),
+              error: null,
+              ...details,
+              outputPath,
+            };
+          } catch (err) {
+            if (job?.cancelled) throw err;
+            log.warn(`${tool} batch file failed`, { file: file.originalname, ...errorFields(err) });
+            const { code, message } = describeError(err, failMessage);
+            entries[index] = { ...entry, finalSize: null, compressionPercent: null, error: { code, message } };
+          } finally {
+            if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+            filesDone++;
+            reportProgress(job, { stage: 'batch', filesDone, files: files.length, percent: filesDone / files.length * 100 });
+          }
+        });
 
-    const originalPdf = await PDFDocument.load(fs.readFileSync(inputPath));
-    const newPdf = await PDFDocument.create();
+        const succeeded = entries.filter(entry => !entry.error);
+        const usedNames = new Set();
+        for (const entry of succeeded) {
+          const base = path.basename(entry.file, path.extname(entry.file));
+          let name = `${base}.pdf`;
+          for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}.pdf`;
+          usedNames.add(name);
+          entry.name = name;
+        }
 
-    for (const { originalIndex, rotation } of actions) {
-      console.log(`➡️ Copying page ${originalIndex}, rotation: ${rotation}`);
+        const originalSize = files.reduce((total, file) => total + file.size, 0);
+        let downloadUrl = null;
+        let finalSize = 0;
+        if (succeeded.length > 0) {
+          const zipPath = path.join('compressed', `${tool}_batch_${uniqueStamp()}.zip`);
+          await writeZip(zipPath, archive => {
+            succeeded.forEach(({ outputPath, name }) => archive.file(outputPath, { name }));
+          });
+          finalSize = fs.statSync(zipPath).size;
+          downloadUrl = await publishOutput(zipPath, job);
+        }
 
-      if (originalIndex >= originalPdf.getPageCount()) {
-        console.log("⚠️ Invalid index:", originalIndex);
-        continue;
+        return {
+          downloadUrl,
+          originalSize,
+          finalSize,
+          compressionPercent: downloadUrl ? Math.round((1 - finalSize / originalSize) * 100) : 0,
+          succeeded: succeeded.length,
+          failed: files.length - succeeded.length,
+          files: entries.map(({ outputPath, ...entry }) => entry),
+        };
+      } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
       }
+    });
+  });
+}
 
-      // ✅ Correct destination.copyPages(source, [index])
-      const [copiedPage] = await newPdf.copyPages(originalPdf, [originalIndex]);
-
-      const angle = (rotation % 360 + 360) % 360;
-      if (angle !== 0) {
-        copiedPage.setRotation(degrees(angle));
-      }
+Object.entries(batchTools).forEach(([tool, def]) => batchRoute(tool, def));
 
-      newPdf.addPage(copiedPage);
-    }
 
-    const pdfBytes = await newPdf.save();
 
-    if (!pdfBytes || pdfBytes.length === 0) {
-      throw new Error("❌ PDF save failed, empty buffer.");
-    }
 
-    fs.writeFileSync(outputPath, pdfBytes);
-    fs.unlinkSync(inputPath);
+/* ------------ VIDEO COMPRESSION ------------ */
+// Quality mode (default) encodes at a constant `crf`. Sending `targetSize` (KB) switches
+// to a two-pass encode at the bitrate that fits the file into that size, the video
+// counterpart of /compress-pdf-to-size.
+//   codec:        h264 (mp4, default) | h265 (mp4) | vp9 (webm)
+//   resolution:   1080p | 720p | 480p, only ever scales down
+//   audioBitrate: kbps to re-encode the audio at; audio=none drops the audio track
+//   crf:          0 to the codec's maxCrf (51 for h264/h265, 63 for vp9)
+const VIDEO_CODECS = {
+  h264: { encoder: 'libx264', ext: 'mp4', audio: 'aac', crf: 28, maxCrf: 51, args: ['-preset', 'medium', '-movflags', '+faststart'] },
+  h265: { encoder: 'libx265', ext: 'mp4', audio: 'aac', crf: 30, maxCrf: 51, args: ['-preset', 'medium', '-tag:v', 'hvc1', '-movflags', '+faststart'] },
+  vp9: { encoder: 'libvpx-vp9', ext: 'webm', audio: 'libopus', crf: 36, maxCrf: 63, args: ['-deadline', 'good', '-cpu-used', '2', '-row-mt', '1'] },
+};
+const VIDEO_HEIGHTS = { '1080p': 1080, '720p': 720, '480p': 480 };
+const DEFAULT_AUDIO_KBPS = 128;
+// Bitrate left for the container (mp4/webm headers and index) in target-size mode.
+const CONTAINER_OVERHEAD = 0.03;
+
+async function probeVideo(inputPath) {
+  let info;
+  try {
+    const { stdout } = await runCommand('ffprobe', [
+      '-v', 'error', '-show_entries', 'format=duration:stream=codec_type', '-of', 'json', inputPath,
+    ]);
+    info = JSON.parse(stdout);
+  } catch (err) {
+    if (err.status === 503) throw err;
+    throw invalidInput('Could not read the video.');
+  }
 
-    console.log("✅ PDF created:", outputPath);
+  const duration = parseFloat(info.format?.duration);
+  const streams = info.streams || [];
+  if (!duration || !streams.some(stream => stream.codec_type === 'video')) {
+    throw invalidInput('Could not read the video.');
+  }
+  return { duration, hasAudio: streams.some(stream => stream.codec_type === 'audio') };
+}
+
+function parseVideoOptions(body) {
+  const options = {
+    codec: String(body.codec || 'h264').toLowerCase(),
+    resolution: body.resolution || null,
+    targetSizeKB: body.targetSize ? parseInt(body.targetSize) : null,
+    dropAudio: body.audio === 'none',
+    audioKbps: body.audioBitrate ? parseInt(body.audioBitrate) : null,
+  };
+
+  if (!VIDEO_CODECS[options.codec]) throw invalidInput(`Codec must be one of: ${Object.keys(VIDEO_CODECS).join(', ')}.`);
+  if (options.resolution && !VIDEO_HEIGHTS[options.resolution]) {
+    throw invalidInput(`Resolution must be one of: ${Object.keys(VIDEO_HEIGHTS).join(', ')}.`);
+  }
+  if (options.targetSizeKB !== null && !(options.targetSizeKB >= 100 && options.targetSizeKB <= 4 * 1024 * 1024)) {
+    throw invalidInput('Target size must be between 100KB and 4GB.');
+  }
+  if (options.audioKbps !== null && !(options.audioKbps >= 16 && options.audioKbps <= 320)) {
+    throw invalidInput('Audio bitrate must be between 16 and 320 kbps.');
+  }
 
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      size: pdfBytes.length
+  const { crf, maxCrf } = VIDEO_CODECS[options.codec];
+  options.crf = body.crf ? Number(body.crf) : crf;
+  if (!(Number.isInteger(options.crf) && options.crf >= 0 && options.crf <= maxCrf)) {
+    throw invalidInput(`CRF must be a whole number between 0 and ${maxCrf} for ${options.codec}.`);
+  }
+  return options;
+}
+
+// Audio arguments for the final pass. Without an explicit bitrate the quality mode keeps
+// copying the original track into mp4; webm and target-size mode need a known codec/bitrate.
+function videoAudioArgs(options, probe) {
+  const codec = VIDEO_CODECS[options.codec];
+  if (options.dropAudio || !probe.hasAudio) return { args: ['-an'], kbps: 0 };
+  if (!options.audioKbps && !options.targetSizeKB && codec.ext === 'mp4') return { args: ['-c:a', 'copy'], kbps: 0 };
+
+  const kbps = options.audioKbps || DEFAULT_AUDIO_KBPS;
+  return { args: ['-c:a', codec.audio, '-b:a', `${kbps}k`], kbps };
+}
+
+// Video bitrate that fits the whole file into targetSize, after audio and container overhead.
+function targetVideoKbps(options, probe) {
+  const totalKbps = (options.targetSizeKB * 1024 * 8 / 1000) * (1 - CONTAINER_OVERHEAD) / probe.duration;
+  return Math.floor(totalKbps - videoAudioArgs(options, probe).kbps);
+}
+
+// Turns ffmpeg's "time=HH:MM:SS.xx" status lines into progress events. `pass` of
+// `passes` spreads multi-pass encodes over one 0-100 scale.
+function ffmpegProgress(job, duration, { pass = 1, passes = 1 } = {}) {
+  if (!job || !(duration > 0)) return undefined;
+  return text => {
+    const times = [...text.matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    if (times.length === 0) return;
+    const [, h, m, sec] = times[times.length - 1];
+    const encodedSeconds = Math.min(duration, h * 3600 + m * 60 + Number(sec));
+    reportProgress(job, {
+      stage: 'encode',
+      pass,
+      passes,
+      encodedSeconds: +encodedSeconds.toFixed(2),
+      duration,
+      percent: (pass - 1 + encodedSeconds / duration) / passes * 100,
     });
-
-  } catch (err) {
-    console.error("❌ Rotate PDF Error:", err);
-    if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath);
-    res.status(500).json({ error: 'Failed to rotate PDF.' });
+  };
+}
+
+async function compressVideo(inputPath, outputPath, options, probe, job) {
+  const codec = VIDEO_CODECS[options.codec];
+  const height = VIDEO_HEIGHTS[options.resolution];
+  // -2 keeps the width even, which the encoders require.
+  const scale = height ? ['-vf', `scale=-2:'min(${height},ih)'`] : [];
+  const audio = videoAudioArgs(options, probe);
+  const input = ['-y', '-i', inputPath, ...scale, '-c:v', codec.encoder, ...codec.args];
+
+  if (!options.targetSizeKB) {
+    const rate = options.codec === 'vp9' ? ['-b:v', '0', '-crf', String(options.crf)] : ['-crf', String(options.crf)];
+    await runCommand('ffmpeg', [...input, ...rate, ...audio.args, outputPath], job,
+      { onStderr: ffmpegProgress(job, probe.duration) });
+    return { attempts: 1 };
   }
-});
 
+  const targetBytes = options.targetSizeKB * 1024;
+  let videoKbps = targetVideoKbps(options, probe);
 
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video_'));
+  const statsFile = path.join(workDir, 'pass');
+  // libx265 takes its pass settings through -x265-params instead of -pass/-passlogfile.
+  const passArgs = pass => options.codec === 'h265'
+    ? ['-x265-params', `pass=${pass}:stats=${statsFile}.log`]
+    : ['-pass', String(pass), '-passlogfile', statsFile];
+  const secondPass = progress =>
+    runCommand('ffmpeg', [...input, '-b:v', `${videoKbps}k`, ...passArgs(2), ...audio.args, outputPath], job,
+      { onStderr: ffmpegProgress(job, probe.duration, progress) });
 
+  try {
+    await runCommand('ffmpeg', [...input, '-b:v', `${videoKbps}k`, ...passArgs(1), '-an', '-f', 'null', '/dev/null'], job,
+      { onStderr: ffmpegProgress(job, probe.duration, { pass: 1, passes: 2 }) });
+    await secondPass({ pass: 2, passes: 2 });
 
-/* ------------ VIDEO COMPRESSION ------------ */
-app.post('/compress-video', upload.single('file'), async (req, res) => {
+    // Rate control usually lands within a few percent; when it overshoots, redo the
+    // second pass once with the bitrate scaled down by the overshoot.
+    const size = fs.statSync(outputPath).size;
+    if (size <= targetBytes) return { attempts: 1, videoKbps };
+
+    videoKbps = Math.floor(videoKbps * (targetBytes / size) * 0.97);
+    if (videoKbps < 50) return { attempts: 1, videoKbps };
+    await secondPass({ pass: 3, passes: 3 });
+    return { attempts: 2, videoKbps };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+toolRoute('/compress-video', {
+  ...VIDEO_ROUTE,
+  summary: 'Compress a video at constant quality, or to a target size with a two-pass encode.',
+  options: {
+    codec: spec.oneOf(Object.keys(VIDEO_CODECS), 'Video codec.', { default: 'h264' }),
+    resolution: spec.oneOf(Object.keys(VIDEO_HEIGHTS), 'Maximum height (default: original).'),
+    targetSize: spec.integer('Target size in KB.', { minimum: 100, maximum: 4 * 1024 * 1024 }),
+    crf: spec.integer('Constant quality when there is no targetSize (lower is better): 0-51 for h264/h265, 0-63 for vp9.', { minimum: 0, maximum: 63 }),
+    audio: spec.oneOf(['none'], 'none drops the audio track.'),
+    audioBitrate: spec.integer('Audio bitrate in kbps.', { minimum: 16, maximum: 320 }),
+  },
+  response: {
+    ...SIZE_REPORT,
+    codec: spec.string('Codec used.'),
+    resolution: spec.string('Resolution used.'),
+    originalDuration: spec.number('Input duration in seconds.'),
+    finalDuration: spec.number('Output duration in seconds.'),
+    videoBitrateKbps: spec.integer('Video bitrate of the last pass (targetSize).'),
+    attempts: spec.integer('Encodes needed (targetSize).'),
+    achievedTarget: spec.boolean('Whether the output fits targetSize (targetSize).'),
+  },
+}, async (req, res) => {
   const inputPath = req.file.path;
-  const outputFilename = `compressed_${Date.now()}.mp4`;
-  const outputPath = path.join('compressed', outputFilename);
-
-  const crf = parseInt(req.body.crf) || 28;
-  const preset = 'medium';
 
-  const ffmpegCmd = `ffmpeg -y -i "${inputPath}" -vcodec libx264 -preset ${preset} -crf ${crf} -acodec copy "${outputPath}"`;
+  let options, probe;
+  try {
+    options = parseVideoOptions(req.body);
+    probe = await probeVideo(inputPath);
+    if (options.targetSizeKB && targetVideoKbps(options, probe) < 50) {
+      throw invalidInput(`Target size is too small for a ${Math.round(probe.duration)}s video. Try a lower audio bitrate or audio=none.`);
+    }
+  } catch (err) {
+    fs.unlinkSync(inputPath);
+    return sendFailure(res, err);
+  }
 
-  console.log(`🎬 Running: ${ffmpegCmd}`);
+  const outputFilename = `compressed_${uniqueStamp()}.${VIDEO_CODECS[options.codec].ext}`;
+  const outputPath = path.join('compressed', outputFilename);
+  const originalSize = fs.statSync(inputPath).size;
 
-  exec(ffmpegCmd, (err, stdout, stderr) => {
-    if (err) {
-      console.error('❌ FFmpeg stderr:', stderr);
-      return res.status(500).send('Video compression failed.');
+  runTool(req, res, {
+    tool: 'compress-video',
+    failMessage: 'Video compression failed.',
+  }, async (job) => {
+    let encode;
+    try {
+      encode = await compressVideo(inputPath, outputPath, options, probe, job);
+    } catch (err) {
+      if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+      throw err;
+    } finally {
+      fs.unlinkSync(inputPath);
     }
 
-    fs.unlinkSync(inputPath); // Safe to delete now
-
     const finalSize = fs.statSync(outputPath).size;
-    res.json({
-      downloadUrl: `https://file2do-backend-docker.onrender.com/compressed/${outputFilename}`,
-      finalSize
-    });
+    const { duration: finalDuration } = await probeVideo(outputPath);
+    const downloadUrl = await publishOutput(outputPath, job);
+    return {
+      downloadUrl,
+      codec: options.codec,
+      resolution: options.resolution || 'original',
+      originalSize,
+      finalSize,
+      compressionPercent: Math.round((1 - finalSize / originalSize) * 100),
+      originalDuration: probe.duration,
+      finalDuration,
+      ...(options.targetSizeKB && {
+        videoBitrateKbps: encode.videoKbps,
+        attempts: encode.attempts,
+        achievedTarget: finalSize <= options.targetSizeKB * 1024,
+      }),
+    };
   });
 });
 
@@ -739,7 +5048,598 @@ app.post('/compress-video', upload.single('file'), async (req, res) => {
 
 
 
+/* ------------ VIDEO TOOLS (TRIM / AUDIO / GIF / THUMBNAILS) ------------ */
+const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.mkv', '.webm', '.avi', '.m4v'];
+const AUDIO_FORMATS = {
+  mp3: { ext: 'mp3', args: kbps => ['-c:a', 'libmp3lame', '-b:a', `${kbps}k`] },
+  aac: { ext: 'm4a', args: kbps => ['-c:a', 'aac', '-b:a', `${kbps}k`] },
+  wav: { ext: 'wav', args: () => ['-c:a', 'pcm_s16le'] },
+};
+const MAX_GIF_SECONDS = 30;
+const MAX_VIDEO_THUMBNAILS = 50;
+
+// Accepts plain seconds ("90", "12.5") or clock time ("1:30", "00:01:30.250").
+function parseTimestamp(value, name) {
+  const text = String(value).trim();
+  const match = text.match(/^(?:(?:(\d+):)?(\d{1,2}):)?(\d+(?:\.\d+)?)$/);
+  if (!match) throw invalidInput(`${name} must be seconds or hh:mm:ss.`);
+  const [, hours = 0, minutes, seconds] = match;
+  if (minutes !== undefined && (Number(minutes) >= 60 || Number(seconds) >= 60)) {
+    throw invalidInput(`${name} must be seconds or hh:mm:ss.`);
+  }
+  return Number(hours) * 3600 + Number(minutes || 0) * 60 + Number(seconds);
+}
+
+// Reads `start`/`end` against the video's duration; both default to the video's bounds.
+function parseTimeRange(body, duration) {
+  const start = body.start ? parseTimestamp(body.start, 'Start') : 0;
+  const end = body.end ? Math.min(parseTimestamp(body.end, 'End'), duration) : duration;
+  if (start >= duration) throw invalidInput('Start is past the end of the video.');
+  if (end <= start) throw invalidInput('End must be after start.');
+  return { start, end };
+}
+
+function boundedInt(value, fallback, min, max, name) {
+  if (value === undefined || value === '') return fallback;
+  const number = parseInt(value);
+  if (!(number >= min && number <= max)) throw invalidInput(`${name} must be between ${min} and ${max}.`);
+  return number;
+}
+
+// Shared wrapper for the video routes: probes the upload, lets `parse` turn the body
+// into options (throwing invalidInput for a 400), then runs `work` as a tool job.
+function videoRoute({ tool, failMessage }, parse, work) {
+  return async (req, res) => {
+    const inputPath = req.file.path;
+
+    let probe, options;
+    try {
+      probe = await probeVideo(inputPath);
+      options = parse(req.body, probe, req.file);
+    } catch (err) {
+      fs.unlinkSync(inputPath);
+      return sendFailure(res, err);
+    }
+
+    runTool(req, res, { tool, failMessage }, async (job) => {
+      try {
+        return await work(inputPath, options, probe, job);
+      } finally {
+        fs.unlinkSync(inputPath);
+      }
+    });
+  };
+}
+
+// Runs one ffmpeg command that writes outputPath, then publishes it. `duration` is the
+// length of the output in seconds, for progress.
+async function publishVideoOutput(args, outputPath, job, duration) {
+  try {
+    await runCommand('ffmpeg', ['-y', ...args, outputPath], job, { onStderr: ffmpegProgress(job, duration) });
+  } catch (err) {
+    if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    throw err;
+  }
+
+  const size = fs.statSync(outputPath).size;
+  const downloadUrl = await publishOutput(outputPath, job);
+  return { downloadUrl, size };
+}
+
+// Stream copy (default) cuts on the nearest keyframes and keeps the original quality and
+// container; reencode=true cuts on the exact frames at the cost of an H.264 encode.
+toolRoute('/trim-video', {
+  ...VIDEO_ROUTE,
+  summary: 'Cut a clip out of a video.',
+  options: {
+    start: TIME_OPTION('Start'),
+    end: TIME_OPTION('End'),
+    reencode: spec.boolean('Cut on exact frames instead of keyframes (re-encodes to H.264).', { default: false }),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    start: spec.number('Start in seconds.'),
+    end: spec.number('End in seconds.'),
+    duration: spec.number('Clip length in seconds.'),
+  },
+}, videoRoute({ tool: 'trim-video', failMessage: 'Video trimming failed.' },
+  (body, probe, file) => {
+    if (!body.start && !body.end) throw invalidInput('Give a start and/or end time.');
+    const ext = path.extname(file.originalname).toLowerCase();
+    const reencode = body.reencode === 'true';
+    return {
+      ...parseTimeRange(body, probe.duration),
+      reencode,
+      ext: reencode || !VIDEO_EXTENSIONS.includes(ext) ? '.mp4' : ext,
+    };
+  },
+  async (inputPath, { start, end, reencode, ext }, probe, job) => {
+    const outputPath = path.join('compressed', `trimmed_${uniqueStamp()}${ext}`);
+    const codecs = reencode
+      ? ['-c:v', 'libx264', '-preset', 'medium', '-crf', '20', ...(probe.hasAudio ? ['-c:a', 'aac', '-b:a', '160k'] : ['-an'])]
+      : ['-c', 'copy', '-avoid_negative_ts', 'make_zero'];
+
+    const output = await publishVideoOutput(
+      ['-ss', String(start), '-i', inputPath, '-t', String(end - start), ...codecs],
+      outputPath,
+      job,
+      end - start
+    );
+    return { ...output, start, end, duration: end - start };
+  }
+));
+
+toolRoute('/extract-audio', {
+  ...VIDEO_ROUTE,
+  summary: 'Extract the audio track of a video.',
+  options: {
+    format: spec.oneOf(Object.keys(AUDIO_FORMATS), 'Audio format.', { default: 'mp3' }),
+    bitrate: spec.integer('Bitrate in kbps (not for wav).', { minimum: 32, maximum: 320, default: 192 }),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    format: spec.string('Audio format.'),
+    bitrate: spec.integer('Bitrate in kbps (null for wav).'),
+    duration: spec.number('Duration in seconds.'),
+  },
+}, videoRoute({ tool: 'extract-audio', failMessage: 'Audio extraction failed.' },
+  (body, probe) => {
+    if (!probe.hasAudio) throw invalidInput('The video has no audio track.');
+    const format = String(body.format || 'mp3').toLowerCase();
+    if (!AUDIO_FORMATS[format]) throw invalidInput(`Format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}.`);
+    return { format, kbps: boundedInt(body.bitrate, 192, 32, 320, 'Bitrate') };
+  },
+  async (inputPath, { format, kbps }, probe, job) => {
+    const { ext, args } = AUDIO_FORMATS[format];
+    const outputPath = path.join('compressed', `audio_${uniqueStamp()}.${ext}`);
+
+    const output = await publishVideoOutput(['-i', inputPath, '-vn', ...args(kbps)], outputPath, job, probe.duration);
+    return { ...output, format, bitrate: format === 'wav' ? null : kbps, duration: probe.duration };
+  }
+));
+
+// One pass with split/palettegen/paletteuse: the palette is built from the clip itself,
+// which avoids the banding of ffmpeg's default 256-colour web palette.
+toolRoute('/video-to-gif', {
+  ...VIDEO_ROUTE,
+  summary: `Turn up to ${MAX_GIF_SECONDS} seconds of a video into an animated GIF.`,
+  options: {
+    start: TIME_OPTION('Start'),
+    end: TIME_OPTION('End (default: start + 10s)'),
+    fps: spec.integer('Frames per second.', { minimum: 1, maximum: 30, default: 10 }),
+    width: spec.integer('Width in pixels.', { minimum: 32, maximum: 1280, default: 480 }),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    start: spec.number('Start in seconds.'),
+    end: spec.number('End in seconds.'),
+    fps: spec.integer('Frames per second.'),
+    width: spec.integer('Width in pixels.'),
+  },
+}, videoRoute({ tool: 'video-to-gif', failMessage: 'GIF conversion failed.' },
+  (body, probe) => {
+    const range = parseTimeRange(body, probe.duration);
+    if (!body.end) range.end = Math.min(range.end, range.start + 10);
+    if (range.end - range.start > MAX_GIF_SECONDS) throw invalidInput(`GIFs can be at most ${MAX_GIF_SECONDS} seconds long.`);
+    return {
+      ...range,
+      fps: boundedInt(body.fps, 10, 1, 30, 'FPS'),
+      width: boundedInt(body.width, 480, 32, 1280, 'Width'),
+    };
+  },
+  async (inputPath, { start, end, fps, width }, probe, job) => {
+    const outputPath = path.join('compressed', `animated_${uniqueStamp()}.gif`);
+    const filter = `fps=${fps},scale=${width}:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`;
+
+    const output = await publishVideoOutput(
+      ['-ss', String(start), '-t', String(end - start), '-i', inputPath, '-vf', filter, '-loop', '0'],
+      outputPath,
+      job,
+      end - start
+    );
+    return { ...output, start, end, fps, width };
+  }
+));
+
+// `count` evenly spaced frames, each taken from the middle of its slice of the video.
+// layout=frames returns them as one image (count 1) or a ZIP; layout=sheet tiles them
+// into a single contact sheet with `columns` columns.
+toolRoute('/video-thumbnails', {
+  ...VIDEO_ROUTE,
+  summary: 'Evenly spaced frames of a video, as separate images or one contact sheet.',
+  options: {
+    count: spec.integer('Number of frames.', { minimum: 1, maximum: MAX_VIDEO_THUMBNAILS, default: 6 }),
+    layout: spec.oneOf(['frames', 'sheet'], 'Separate images (a ZIP for several) or one tiled sheet.', { default: 'frames' }),
+    format: spec.oneOf(['jpg', 'png'], 'Image format.', { default: 'jpg' }),
+    width: spec.integer('Frame width in pixels.', { minimum: 32, maximum: 1920, default: 320 }),
+    columns: spec.integer('Columns of the sheet (default: about square).', { minimum: 1 }),
+  },
+  response: {
+    ...OUTPUT_FILE,
+    frames: spec.integer('Frames extracted.'),
+    times: spec.array(spec.number('Seconds.'), 'Where each frame was taken.'),
+    layout: spec.string('Layout used.'),
+    format: spec.string('Image format.'),
+  },
+}, videoRoute({ tool: 'video-thumbnails', failMessage: 'Thumbnail extraction failed.' },
+  (body) => {
+    const count = boundedInt(body.count, 6, 1, MAX_VIDEO_THUMBNAILS, 'Count');
+    const layout = body.layout || 'frames';
+    const format = String(body.format || 'jpg').toLowerCase();
+    if (!['frames', 'sheet'].includes(layout)) throw invalidInput('Layout must be frames or sheet.');
+    if (!['jpg', 'png'].includes(format)) throw invalidInput('Format must be jpg or png.');
+    return {
+      count,
+      layout,
+      format,
+      width: boundedInt(body.width, 320, 32, 1920, 'Width'),
+      columns: boundedInt(body.columns, Math.ceil(Math.sqrt(count)), 1, count, 'Columns'),
+    };
+  },
+  async (inputPath, { count, layout, format, width, columns }, probe, job) => {
+    const times = Array.from({ length: count }, (_, i) => +(probe.duration * (i + 0.5) / count).toFixed(3));
+    const scale = `scale=${width}:-2`;
+
+    if (layout === 'sheet') {
+      const outputPath = path.join('compressed', `thumbnails_${uniqueStamp()}.${format}`);
+      const rows = Math.ceil(count / columns);
+      const filter = `fps=${count}/${probe.duration},${scale},tile=${columns}x${rows}:padding=4:margin=4`;
+      const output = await publishVideoOutput(['-i', inputPath, '-vf', filter, '-frames:v', '1'], outputPath, job, probe.duration);
+      return { ...output, frames: count, times, layout, format };
+    }
+
+    const frameDir = fs.mkdtempSync(path.join('compressed', 'frames_'));
+    try {
+      const frames = [];
+      for (const [index, time] of times.entries()) {
+        const framePath = path.join(frameDir, `frame-${String(index + 1).padStart(2, '0')}.${format}`);
+        await runCommand('ffmpeg', ['-y', '-ss', String(time), '-i', inputPath, '-frames:v', '1', '-vf', scale, framePath], job);
+        if (fs.existsSync(framePath)) frames.push(framePath);
+        reportProgress(job, { stage: 'frames', framesDone: index + 1, frames: count, percent: (index + 1) / count * 100 });
+      }
+      if (frames.length === 0) throw new Error('No frames were extracted.');
+
+      let outputPath;
+      if (frames.length === 1) {
+        outputPath = path.join('compressed', `thumbnail_${uniqueStamp()}.${format}`);
+        fs.renameSync(frames[0], outputPath);
+      } else {
+        outputPath = path.join('compressed', `thumbnails_${uniqueStamp()}.zip`);
+        await writeZip(outputPath, archive => frames.forEach(frame => archive.file(frame, { name: path.basename(frame) })));
+      }
+
+      const size = fs.statSync(outputPath).size;
+      const downloadUrl = await publishOutput(outputPath, job);
+      return { downloadUrl, size, frames: frames.length, times, layout, format };
+    } finally {
+      fs.rmSync(frameDir, { recursive: true, force: true });
+    }
+  }
+));
+
+
+
+/* ------------ HEALTH & METRICS ------------ */
+// GET /health reports the external tools (with versions) and the free disk space in
+// uploads/ and compressed/; it answers 200 even when degraded so a liveness probe does
+// not restart the container over a missing binary. GET /ready answers 503 in that case,
+// for the load balancer. Tool checks are cached for HEALTH_CACHE_SECONDS.
+// GET /metrics is Prometheus text; set METRICS_TOKEN to require "Bearer <token>".
+const HEALTH_TOOLS = {
+  gs: ['--version'],
+  qpdf: ['--version'],
+  pdftoppm: ['-v'],
+  ffmpeg: ['-version'],
+  ffprobe: ['-version'],
+  ocrmypdf: ['--version'],
+  tesseract: ['--version'],
+  soffice: ['--version'],
+};
+const HEALTH_CACHE_MS = (parseInt(process.env.HEALTH_CACHE_SECONDS) || 60) * 1000;
+const MIN_FREE_DISK_MB = parseInt(process.env.MIN_FREE_DISK_MB) || 500;
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Version checks bypass the tool governor: they must not queue behind a long video
+// encode, and they are cheap.
+function toolVersion(command, args) {
+  return new Promise(resolve => {
+    execFile(command, args, { timeout: 15000 }, (err, stdout, stderr) => {
+      if (err) {
+        return resolve({ ok: false, error: err.code === 'ENOENT' ? 'Not installed.' : (stderr.trim() || err.message) });
+      }
+      // Some tools (pdftoppm, old tesseract) print their version on stderr.
+      const version = `${stdout}\n${stderr}`.split('\n').map(line => line.trim()).find(Boolean);
+      resolve({ ok: true, version });
+    });
+  });
+}
+
+let toolCheck = null; // { at, promise }
+
+function checkTools() {
+  if (!toolCheck || Date.now() - toolCheck.at > HEALTH_CACHE_MS) {
+    const entries = Object.entries(HEALTH_TOOLS);
+    toolCheck = {
+      at: Date.now(),
+      promise: Promise.all(entries.map(([command, args]) => toolVersion(command, args)))
+        .then(results => Object.fromEntries(results.map((result, i) => [entries[i][0], result]))),
+    };
+  }
+  return toolCheck.promise;
+}
+
+function diskSpace(folder) {
+  const { bavail, blocks, bsize } = fs.statfsSync(folder);
+  const freeBytes = bavail * bsize;
+  return { ok: freeBytes >= MIN_FREE_DISK_MB * MB, freeBytes, totalBytes: blocks * bsize };
+}
+
+async function healthReport() {
+  const tools = await checkTools();
+  const disk = { uploads: diskSpace('uploads'), compressed: diskSpace('compressed') };
+  const problems = [
+    ...Object.entries(tools).filter(([, tool]) => !tool.ok).map(([name, tool]) => `${name}: ${tool.error}`),
+    ...Object.entries(disk).filter(([, space]) => !space.ok).map(([folder]) => `${folder}: less than ${MIN_FREE_DISK_MB} MB free`),
+  ];
+  return {
+    status: problems.length ? 'degraded' : 'ok',
+    problems,
+    uptimeSeconds: Math.round(process.uptime()),
+    tools,
+    disk,
+  };
+}
+
+app.get('/health', async (req, res) => {
+  res.json(await healthReport());
+});
+
+app.get('/ready', async (req, res) => {
+  const { status, problems } = await healthReport();
+  res.status(status === 'ok' ? 200 : 503).json({ ready: status === 'ok', problems });
+});
+
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 900];
+
+const metrics = {
+  requests: new Map(),    // JSON [route, method, status] -> count
+  durations: new Map(),   // route -> { counts per bucket, sum, count }
+  inputBytes: new Map(),  // route -> bytes
+  outputBytes: new Map(), // route -> bytes
+  failures: new Map(),    // route -> count
+};
+
+function increment(map, key, by = 1) {
+  map.set(key, (map.get(key) || 0) + by);
+}
+
+function recordRequest(route, method, status, seconds, inputBytes) {
+  increment(metrics.requests, JSON.stringify([route, method, String(status)]));
+  if (status >= 500) recordFailure(route);
+  if (inputBytes) increment(metrics.inputBytes, route, inputBytes);
+
+  let histogram = metrics.durations.get(route);
+  if (!histogram) {
+    histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    metrics.durations.set(route, histogram);
+  }
+  DURATION_BUCKETS.forEach((bound, i) => seconds <= bound && histogram.buckets[i]++);
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// Background job failures never show up as a 5xx response, so runTool counts them here.
+function recordFailure(route) {
+  increment(metrics.failures, route);
+}
+
+function recordOutputBytes(bytes) {
+  increment(metrics.outputBytes, requestContext.getStore()?.route || 'other', bytes);
+}
+
+function promLabels(labels) {
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${labels ? promLabels(labels) : ''} ${value}`));
+  };
+  const perRoute = map => [...map].map(([route, value]) => [{ route }, value]);
+
+  metric('file2do_http_requests_total', 'counter', 'HTTP requests by route, method and status.',
+    [...metrics.requests].map(([key, count]) => {
+      const [route, method, status] = JSON.parse(key);
+      return [{ route, method, status }, count];
+    }));
+  metric('file2do_http_request_duration_seconds', 'histogram', 'Time until the response was sent.',
+    [...metrics.durations].flatMap(([route, { buckets, sum, count }]) => [
+      ...DURATION_BUCKETS.map((bound, i) => [{ route, le: bound }, buckets[i], '_bucket']),
+      [{ route, le: '+Inf' }, count, '_bucket'],
+      [{ route }, sum.toFixed(3), '_sum'],
+      [{ route }, count, '_count'],
+    ]));
+  metric('file2do_input_bytes_total', 'counter', 'Bytes uploaded to each route.', perRoute(metrics.inputBytes));
+  metric('file2do_output_bytes_total', 'counter', 'Bytes of output files published by each route.', perRoute(metrics.outputBytes));
+  metric('file2do_failures_total', 'counter', 'Failed requests (5xx) and failed background jobs by route.', perRoute(metrics.failures));
+
+  const jobStates = {};
+  jobs.forEach(job => { jobStates[job.state] = (jobStates[job.state] || 0) + 1; });
+  metric('file2do_jobs', 'gauge', 'Background jobs currently kept, by state.',
+    Object.entries(jobStates).map(([state, count]) => [{ state }, count]));
+  metric('file2do_tool_active', 'gauge', 'External tool processes running, by tool group.',
+    Object.values(toolGroups).map(group => [{ group: group.name }, group.active]));
+  metric('file2do_tool_queued', 'gauge', 'Tool runs waiting for a slot, by tool group.',
+    Object.values(toolGroups).map(group => [{ group: group.name }, group.queue.length]));
+  metric('process_resident_memory_bytes', 'gauge', 'Resident memory size.', [[null, process.memoryUsage().rss]]);
+  metric('process_uptime_seconds', 'gauge', 'Seconds since the server started.', [[null, Math.round(process.uptime())]]);
+
+  return `${lines.join('\n')}\n`;
+}
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return sendError(res, 'UNAUTHORIZED', 'Invalid metrics token.');
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+/* ------------ API DESCRIPTION ------------ */
+// GET /openapi.json is built from the toolRoute() definitions (files, limits, options,
+// response), so a route documents itself by being declared.
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+});
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+function describeToolRoute(route) {
+  const fileFields = Object.entries(route.files).map(([field, { accept, max = 1, required = true }]) => {
+    const file = spec.string(`A ${FILE_KINDS[accept].label}, up to ${Math.round(route.maxFileSize / MB)}MB.`, { format: 'binary' });
+    return { field, required, schema: max > 1 ? spec.array(file, `Up to ${max} files.`) : file };
+  });
+  const properties = {
+    ...Object.fromEntries(fileFields.map(({ field, schema }) => [field, schema])),
+    ...route.options,
+    ...(route.async && { async: spec.boolean('Run as a background job: answers 202 with a job id.', { default: false }) }),
+  };
+
+  return {
+    post: {
+      operationId: route.path.slice(1).replace(/-(\w)/g, (_, letter) => letter.toUpperCase()),
+      summary: route.summary,
+      description: `Costs ${route.cost} rate limit point(s).`
+        + (route.minFiles > 1 ? ` Needs at least ${route.minFiles} files.` : '')
+        + (route.files.file?.accept === 'pdf' || route.files.files?.accept === 'pdf'
+          ? ` PDFs may have up to ${route.maxPages || MAX_PDF_PAGES} pages.` : ''),
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties,
+              required: fileFields.filter(({ required }) => required).map(({ field }) => field),
+            },
+          },
+        },
+      },
+      responses: {
+        200: jsonResponse('Done.', spec.object(route.response || {})),
+        ...(route.async && { 202: jsonResponse('Accepted as a background job.', { $ref: '#/components/schemas/JobAccepted' }) }),
+        400: errorResponse('Invalid input or upload.'),
+        401: errorResponse('Missing or invalid API key.'),
+        413: errorResponse('File too large.'),
+        429: errorResponse('Rate limit or daily quota exceeded; see Retry-After.'),
+        500: errorResponse('Processing failed.'),
+        503: errorResponse('Busy or tool unavailable; see Retry-After.'),
+        504: errorResponse('Processing took too long.'),
+      },
+    },
+  };
+}
+
+function openApiDocument() {
+  const jobPath = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+  return {
+    openapi: '3.1.0',
+    info: { title: 'File2Do API', version: require('./package.json').version },
+    servers: [{ url: PUBLIC_BASE_URL }],
+    security: REQUIRE_API_KEY ? [{ apiKey: [] }] : [{}, { apiKey: [] }],
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      schemas: {
+        Error: spec.object({
+          error: spec.object({
+            code: spec.oneOf(Object.keys(ERROR_CODES), 'Stable error code.'),
+            message: spec.string('Safe to show to users.'),
+            requestId: spec.string('Matches the X-Request-Id header and the server logs.'),
+          }),
+        }),
+        JobAccepted: spec.object({
+          jobId: spec.string('Job id.'),
+          state: spec.string('Always queued.'),
+          statusUrl: spec.string('GET for the job state and result.'),
+          eventsUrl: spec.string('Server-Sent Events with progress, then result or error.'),
+        }),
+        Job: spec.object({
+          id: spec.string('Job id.'),
+          tool: spec.string('Route that started the job.'),
+          state: spec.oneOf(['queued', 'running', 'done', 'failed', 'cancelled'], 'Job state.'),
+          createdAt: spec.string('ISO 8601.', { format: 'date-time' }),
+          startedAt: spec.string('ISO 8601.', { format: 'date-time' }),
+          finishedAt: spec.string('ISO 8601.', { format: 'date-time' }),
+          progress: spec.object({ stage: spec.string('What is running.'), percent: spec.integer('0-100.') }, 'Latest progress.'),
+          result: spec.object({}, "The route's 200 response, once done."),
+          error: { $ref: '#/components/schemas/Error/properties/error' },
+        }),
+      },
+    },
+    paths: {
+      ...Object.fromEntries(toolRoutes.map(route => [route.path, describeToolRoute(route)])),
+      '/jobs/{id}': {
+        get: {
+          summary: 'State and result of a background job.',
+          parameters: [jobPath],
+          responses: { 200: jsonResponse('The job.', { $ref: '#/components/schemas/Job' }), 404: errorResponse('Unknown job.') },
+        },
+        delete: {
+          summary: 'Cancel a background job.',
+          parameters: [jobPath],
+          responses: { 200: jsonResponse('The job.', { $ref: '#/components/schemas/Job' }), 404: errorResponse('Unknown job.') },
+        },
+      },
+      '/jobs/{id}/events': {
+        get: {
+          summary: 'Progress of a background job as Server-Sent Events (progress, result, error).',
+          parameters: [jobPath],
+          responses: { 200: { description: 'Event stream.', content: { 'text/event-stream': {} } }, 404: errorResponse('Unknown job.') },
+        },
+      },
+      '/make-searchable/languages': {
+        get: {
+          summary: 'OCR languages installed on the server.',
+          responses: { 200: jsonResponse('Languages.', spec.object({ languages: spec.array(spec.string('Language code.')) })) },
+        },
+      },
+      '/usage': {
+        get: {
+          summary: "The caller's usage today, limits and route costs.",
+          responses: { 200: jsonResponse('Usage.', spec.object({})), 401: errorResponse('Invalid API key.') },
+        },
+      },
+      '/health': { get: { summary: 'Tool versions and free disk space.', responses: { 200: jsonResponse('Report.', spec.object({})) } } },
+      '/ready': { get: { summary: 'Readiness probe.', responses: { 200: jsonResponse('Ready.', spec.object({})), 503: jsonResponse('Not ready.', spec.object({})) } } },
+    },
+  };
+}
+
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument());
+});
+
 /* ------------ START SERVER ------------ */
+// Unknown routes and errors thrown past a handler (Express 5 forwards rejected
+// promises) get the same error envelope as everything else.
+app.use((req, res) => {
+  sendError(res, 'NOT_FOUND', 'Route not found.');
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  // body-parser's own errors (malformed or oversized form bodies) carry a 4xx status.
+  if (err.status >= 400 && err.status < 500 && !err.errorCode) {
+    return sendError(res, err.status === 413 ? 'FILE_TOO_LARGE' : 'INVALID_INPUT', 'The request could not be read.');
+  }
+  log.error('Unhandled error', errorFields(err));
+  sendFailure(res, err, 'Something went wrong.');
+});
+
 app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
+  log.info('Server running', { port: PORT });
 });